@@ -6,19 +6,25 @@ using Microsoft.SemanticKernel.Connectors.Ollama;
 using Microsoft.Extensions.Options;
 using Serilog;
 using System.Collections.Concurrent;
+using System.Text;
 using System.Text.Json;
 using Apex.SummarizerWithRAG.Models;
+using Apex.SummarizerWithRAG.Services;
 
 namespace Apex.SummarizerWithRAG.Controllers;
 
 [ApiController]
 public class SummarizerController(IKernelMemory memory, Kernel kernel, IImportingService documentExtractionService,
-    IConfiguration configuration, IOptionsSnapshot<RagSettings> ragSettings) : ControllerBase
+    IQueryRewritingService queryRewritingService, IChunkedUploadService chunkedUploadService, IFeedbackService feedbackService,
+    IDocumentSummaryService documentSummaryService, IPromptTemplateService promptTemplateService, IGroundingService groundingService,
+    IKeywordIndexService keywordIndexService, IHybridRetrievalService hybridRetrievalService, IConfiguration configuration,
+    IOptionsSnapshot<RagSettings> ragSettings, IOptionsSnapshot<GroundingSettings> groundingSettings,
+    IOptionsSnapshot<HybridRetrievalSettings> hybridRetrievalSettings) : ControllerBase
 {
     private readonly RagSettings _rag = ragSettings.Value;
     private readonly string _ingestionIndex = ragSettings.Value?.IngestionIndex!;
 
-    private static readonly ConcurrentDictionary<string, (string DocumentId, string Index)> IngestedByFileName = new(StringComparer.OrdinalIgnoreCase);
+    private static readonly ConcurrentDictionary<string, (string DocumentId, string Index, string Collection)> IngestedByFileName = new(StringComparer.OrdinalIgnoreCase);
 
     /// <summary>
     /// Handles file uploads and ingests them into Kernel Memory without persisting to local disk.
@@ -69,7 +75,8 @@ public class SummarizerController(IKernelMemory memory, Kernel kernel, IImportin
                         FilePath = null,                  // no local disk copy
                         FileName = fileName,
                         DocumentId = docId,
-                        Index = _ingestionIndex
+                        Index = _ingestionIndex,
+                        Collection = collection
                     });
                 }
             }
@@ -83,7 +90,7 @@ public class SummarizerController(IKernelMemory memory, Kernel kernel, IImportin
             {
                 if (!string.IsNullOrWhiteSpace(item.FileName) && !string.IsNullOrWhiteSpace(item.DocumentId))
                 {
-                    IngestedByFileName[item.FileName] = (item.DocumentId!, item.Index!);
+                    IngestedByFileName[item.FileName] = (item.DocumentId!, item.Index!, item.Collection!);
                 }
             }
 
@@ -95,6 +102,100 @@ public class SummarizerController(IKernelMemory memory, Kernel kernel, IImportin
         }
     }
 
+    /// <summary>
+    /// Starts a resumable chunked upload. The returned session tells the client the chunk size and chunk count.
+    /// </summary>
+    [HttpPost("/extract/upload/sessions")]
+    public async Task<IActionResult> CreateUploadSessionAsync([FromBody] ChunkedUploadRequest request, CancellationToken cancellationToken)
+    {
+        try
+        {
+            var session = await chunkedUploadService.CreateSessionAsync(request.FileName ?? string.Empty, request.Size, request.Collection ?? "Public", cancellationToken);
+            return Ok(session);
+        }
+        catch (Exception ex)
+        {
+            return BadRequest($"Failed to start upload: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Returns an upload session including the chunks received so far (used to resume).
+    /// </summary>
+    [HttpGet("/extract/upload/sessions/{uploadId}")]
+    public async Task<IActionResult> GetUploadSessionAsync(string uploadId, CancellationToken cancellationToken)
+    {
+        var session = await chunkedUploadService.GetSessionAsync(uploadId, cancellationToken);
+        return session is null ? NotFound($"Upload '{uploadId}' not found.") : Ok(session);
+    }
+
+    /// <summary>
+    /// Stores one chunk (raw request body). The SHA-256 of the chunk (hex) is passed in the X-Chunk-Checksum header.
+    /// </summary>
+    [HttpPut("/extract/upload/sessions/{uploadId}/chunks/{chunkNumber:int}")]
+    public async Task<IActionResult> UploadChunkAsync(string uploadId, int chunkNumber, [FromHeader(Name = "X-Chunk-Checksum")] string? checksum, CancellationToken cancellationToken)
+    {
+        if (string.IsNullOrWhiteSpace(checksum)) return BadRequest("X-Chunk-Checksum header is required.");
+
+        try
+        {
+            var stored = await chunkedUploadService.SaveChunkAsync(uploadId, chunkNumber, Request.Body, checksum, cancellationToken);
+            return stored ? NoContent() : NotFound($"Upload '{uploadId}' not found.");
+        }
+        catch (Exception ex)
+        {
+            return BadRequest($"Failed to store chunk {chunkNumber}: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Assembles the chunks of an upload and ingests the file (same response shape as /extract/upload).
+    /// </summary>
+    [HttpPost("/extract/upload/sessions/{uploadId}/complete")]
+    public async Task<IActionResult> CompleteUploadSessionAsync(string uploadId, CancellationToken cancellationToken)
+    {
+        try
+        {
+            var session = await chunkedUploadService.GetSessionAsync(uploadId, cancellationToken);
+            if (session is null) return NotFound($"Upload '{uploadId}' not found.");
+
+            var docId = await chunkedUploadService.CompleteAsync(uploadId, cancellationToken);
+            if (docId is null) return NotFound($"Upload '{uploadId}' not found.");
+
+            var result = new UploadIngestionResult
+            {
+                FilePath = null,
+                FileName = session.FileName,
+                DocumentId = docId,
+                Index = _ingestionIndex,
+                Collection = session.Collection
+            };
+            IngestedByFileName[session.FileName] = (docId, _ingestionIndex, session.Collection);
+
+            return Ok(new { Files = new[] { result } });
+        }
+        catch (Exception ex)
+        {
+            return BadRequest($"Failed to complete upload: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Abandons an upload and removes its stored chunks.
+    /// </summary>
+    [HttpDelete("/extract/upload/sessions/{uploadId}")]
+    public IActionResult DeleteUploadSession(string uploadId)
+    {
+        try
+        {
+            return chunkedUploadService.DeleteSession(uploadId) ? NoContent() : NotFound($"Upload '{uploadId}' not found.");
+        }
+        catch (Exception ex)
+        {
+            return BadRequest($"Failed to delete upload '{uploadId}': {ex.Message}");
+        }
+    }
+
     /// <summary>
     /// Retrieves a list of indexed documents from Kernel Memory.
     /// </summary>
@@ -144,7 +245,7 @@ public class SummarizerController(IKernelMemory memory, Kernel kernel, IImportin
                     {
                         var partitions = g.SelectMany(r => r.Partitions ?? []);
                         var firstText = partitions.Select(p => p.Text).FirstOrDefault(t => !string.IsNullOrWhiteSpace(t)) ?? string.Empty;
-                        var preview = firstText.Length > 200 ? firstText[..200] + "" : firstText;
+                        var preview = firstText.Length > 200 ? firstText[..200] + "…" : firstText;
 
                         var countries = partitions
                             .SelectMany(p =>
@@ -174,22 +275,24 @@ public class SummarizerController(IKernelMemory memory, Kernel kernel, IImportin
                     .OrderByDescending(d => d.MaxRelevance)
                     .ToArray();
 
-            // If nothing was found via KM (e.g., connector cant enumerate), fall back to in-process cache
+            // If nothing was found via KM (e.g., connector can’t enumerate), fall back to in-process cache
             if (items.Length == 0 && IngestedByFileName.Count > 0)
             {
-                var cached = IngestedByFileName.Select(kvp => new
-                {
-                    Index = kvp.Value.Index,
-                    DocumentId = kvp.Value.DocumentId,
-                    SourceName = kvp.Key,
-                    SourceContentType = (string?)null,
-                    SourceUrl = (string?)null,
-                    Link = (string?)null,
-                    Countries = Array.Empty<string>(),
-                    PartitionCount = 0,
-                    MaxRelevance = 0d,
-                    Preview = string.Empty
-                }).ToArray();
+                var cached = IngestedByFileName
+                    .Where(kvp => string.Equals(kvp.Value.Collection, collection, StringComparison.OrdinalIgnoreCase))
+                    .Select(kvp => new
+                    {
+                        Index = kvp.Value.Index,
+                        DocumentId = kvp.Value.DocumentId,
+                        SourceName = kvp.Key,
+                        SourceContentType = (string?)null,
+                        SourceUrl = (string?)null,
+                        Link = (string?)null,
+                        Countries = new[] { kvp.Value.Collection },
+                        PartitionCount = 0,
+                        MaxRelevance = 0d,
+                        Preview = string.Empty
+                    }).ToArray();
 
                 return Ok(new
                 {
@@ -215,6 +318,199 @@ public class SummarizerController(IKernelMemory memory, Kernel kernel, IImportin
         }
     }
 
+    /// <summary>
+    /// Lists the known collections (distinct "collection" tags across indexed documents, plus the default "Public").
+    /// </summary>
+    [HttpGet("/collections")]
+    public async Task<IActionResult> GetCollectionsAsync()
+    {
+        try
+        {
+            var sr = await memory.SearchAsync(" ", index: _ingestionIndex, minRelevance: 0, limit: Math.Max(1000, _rag.Limit));
+
+            var collections = (sr?.Results ?? [])
+                .SelectMany(r => r.Partitions ?? [])
+                .SelectMany(p =>
+                    p.Tags?
+                        .Where(kv => string.Equals(kv.Key, "collection", StringComparison.OrdinalIgnoreCase))
+                        .SelectMany(kv => kv.Value)
+                    ?? [])
+                .Concat(IngestedByFileName.Values.Select(v => v.Collection))
+                .Append("Public")
+                .OfType<string>()
+                .Where(c => !string.IsNullOrWhiteSpace(c))
+                .Distinct(StringComparer.OrdinalIgnoreCase)
+                .OrderBy(c => c, StringComparer.OrdinalIgnoreCase)
+                .ToArray();
+
+            return Ok(collections);
+        }
+        catch (Exception ex)
+        {
+            return BadRequest($"Failed to list collections: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Configured retrieval defaults, the upper bounds that per-request overrides are clamped to,
+    /// and the grounding defaults (refuse weakly grounded questions, let the model judge unsupported sentences).
+    /// </summary>
+    [HttpGet("/settings/retrieval")]
+    public IActionResult GetRetrievalSettings() =>
+        Ok(new
+        {
+            Defaults = ResolveRetrievalOptions(new SearchRequest()),
+            MaxLimit = _rag.MaxLimit > 0 ? _rag.MaxLimit : 500,
+            MaxResponseTokens = _rag.MaxResponseTokens > 0 ? _rag.MaxResponseTokens : 32768,
+            groundingSettings.Value.RefuseUngrounded,
+            groundingSettings.Value.JudgeClaims
+        });
+
+    /// <summary>
+    /// Records a rating (up/down) with reasons and an optional correction for an answer.
+    /// Posting again with the same id replaces the earlier feedback.
+    /// </summary>
+    [HttpPost("/feedback")]
+    public async Task<IActionResult> SaveFeedbackAsync([FromBody] AnswerFeedback feedback, CancellationToken cancellationToken)
+    {
+        try
+        {
+            var saved = await feedbackService.SaveAsync(feedback, cancellationToken);
+            return Ok(saved);
+        }
+        catch (Exception ex)
+        {
+            return BadRequest($"Failed to save feedback: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Lists feedback (newest first), optionally filtered by model and by a cited document.
+    /// </summary>
+    [HttpGet("/feedback")]
+    public async Task<IActionResult> GetFeedbackAsync([FromQuery] string? model = null, [FromQuery] string? documentId = null, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            return Ok(await feedbackService.ListAsync(model, documentId, cancellationToken));
+        }
+        catch (Exception ex)
+        {
+            return BadRequest($"Failed to list feedback: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Lists the prompt templates (answer styles) a query can be answered with, default first.
+    /// </summary>
+    [HttpGet("/prompts")]
+    public async Task<IActionResult> GetPromptTemplatesAsync(CancellationToken cancellationToken)
+    {
+        try
+        {
+            return Ok(await promptTemplateService.ListAsync(cancellationToken));
+        }
+        catch (Exception ex)
+        {
+            return BadRequest($"Failed to list prompt templates: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Gets one prompt template by id.
+    /// </summary>
+    [HttpGet("/prompts/{id}")]
+    public async Task<IActionResult> GetPromptTemplateAsync(string id, CancellationToken cancellationToken)
+    {
+        try
+        {
+            var template = await promptTemplateService.GetAsync(id, cancellationToken);
+            return template is null ? NotFound($"Prompt template '{id}' not found.") : Ok(template);
+        }
+        catch (Exception ex)
+        {
+            return BadRequest($"Failed to load prompt template: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Adds a prompt template. The text must contain {{$sources}} and {{$query}} and may use {{$language}};
+    /// the id is derived from the name when omitted.
+    /// </summary>
+    [HttpPost("/prompts")]
+    public async Task<IActionResult> AddPromptTemplateAsync([FromBody] PromptTemplate template, CancellationToken cancellationToken)
+    {
+        try
+        {
+            var saved = await promptTemplateService.AddAsync(template, cancellationToken);
+            return Created($"/prompts/{saved.Id}", saved);
+        }
+        catch (InvalidOperationException ex)
+        {
+            return Conflict(ex.Message);
+        }
+        catch (Exception ex)
+        {
+            return BadRequest($"Failed to add prompt template: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Replaces the name, description and text of a prompt template.
+    /// </summary>
+    [HttpPut("/prompts/{id}")]
+    public async Task<IActionResult> UpdatePromptTemplateAsync(string id, [FromBody] PromptTemplate template, CancellationToken cancellationToken)
+    {
+        try
+        {
+            var saved = await promptTemplateService.UpdateAsync(id, template, cancellationToken);
+            return saved is null ? NotFound($"Prompt template '{id}' not found.") : Ok(saved);
+        }
+        catch (Exception ex)
+        {
+            return BadRequest($"Failed to update prompt template: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Deletes a prompt template; the default template cannot be deleted.
+    /// </summary>
+    [HttpDelete("/prompts/{id}")]
+    public async Task<IActionResult> DeletePromptTemplateAsync(string id, CancellationToken cancellationToken)
+    {
+        try
+        {
+            return await promptTemplateService.DeleteAsync(id, cancellationToken) ? NoContent() : NotFound($"Prompt template '{id}' not found.");
+        }
+        catch (InvalidOperationException ex)
+        {
+            return Conflict(ex.Message);
+        }
+        catch (Exception ex)
+        {
+            return BadRequest($"Failed to delete prompt template: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Rebuilds the keyword (BM25) index of an index from the partitions stored in Kernel Memory,
+    /// e.g. for documents ingested before hybrid retrieval existed.
+    /// </summary>
+    [HttpPost("/keyword-index/rebuild")]
+    public async Task<IActionResult> RebuildKeywordIndexAsync([FromQuery] string? index = null, CancellationToken cancellationToken = default)
+    {
+        var idx = string.IsNullOrWhiteSpace(index) ? _ingestionIndex : index;
+        try
+        {
+            var documents = await keywordIndexService.RebuildAsync(idx, cancellationToken);
+            return Ok(new { Index = idx, Documents = documents });
+        }
+        catch (Exception ex)
+        {
+            return BadRequest($"Failed to rebuild the keyword index: {ex.Message}");
+        }
+    }
+
     /// <summary>
     /// Check if a document is ready (ingestion pipeline completed).
     /// </summary>
@@ -253,6 +549,231 @@ public class SummarizerController(IKernelMemory memory, Kernel kernel, IImportin
         }
     }
 
+    /// <summary>
+    /// Get a page of a document's partitions (chunks) in document order, e.g. to show a cited chunk in context.
+    /// </summary>
+    [HttpGet("/memory/{documentId}/partitions")]
+    public async Task<IActionResult> GetPartitionsAsync(string documentId, [FromQuery] string? index = null, [FromQuery] int from = 0, [FromQuery] int count = 10, CancellationToken cancellationToken = default)
+    {
+        if (string.IsNullOrWhiteSpace(documentId)) return BadRequest("documentId is required.");
+        var idx = string.IsNullOrWhiteSpace(index) ? _ingestionIndex : index;
+        from = Math.Max(0, from);
+        count = Math.Clamp(count, 1, 100);
+
+        try
+        {
+            // KM has no "list partitions" API; a blank, unthresholded search scoped to the document returns all of them
+            var sr = await memory.SearchAsync(" ", index: idx, filter: MemoryFilters.ByDocument(documentId), minRelevance: 0, limit: Math.Max(5000, _rag.Limit), cancellationToken: cancellationToken);
+            var results = (sr?.Results ?? []).Where(r => string.Equals(r.DocumentId, documentId, StringComparison.Ordinal)).ToList();
+            if (results.Count == 0)
+            {
+                return NotFound($"Document '{documentId}' not found in index '{idx}'.");
+            }
+
+            var partitions = results
+                .SelectMany(r => r.Partitions ?? [])
+                .GroupBy(p => p.PartitionNumber)
+                .Select(g => g.First())
+                .OrderBy(p => p.PartitionNumber)
+                .ToList();
+
+            return Ok(new DocumentPartitionsPage
+            {
+                Index = idx,
+                DocumentId = documentId,
+                SourceName = results[0].SourceName,
+                TotalPartitions = partitions.Count,
+                From = from,
+                Partitions = partitions
+                    .Skip(from)
+                    .Take(count)
+                    .Select(p => new DocumentPartition
+                    {
+                        PartitionNumber = p.PartitionNumber,
+                        SectionNumber = p.SectionNumber,
+                        Text = p.Text
+                    })
+                    .ToArray()
+            });
+        }
+        catch (Exception ex)
+        {
+            return BadRequest($"Failed to get partitions for '{documentId}': {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Summarize a whole document (map-reduce over all its partitions) as Server-Sent Events:
+    /// "progress" while the parts are summarized, "token" for the final summary, then "done" (a SearchAnswer citing the document) or "error".
+    /// </summary>
+    [HttpPost("/memory/{documentId}/summarize")]
+    public async Task<IActionResult> SummarizeDocumentAsync(string documentId, [FromBody] SummarizeRequest? request, CancellationToken cancellationToken = default)
+    {
+        if (string.IsNullOrWhiteSpace(documentId)) return BadRequest("documentId is required.");
+        request ??= new SummarizeRequest();
+        var idx = string.IsNullOrWhiteSpace(request.Index) ? _ingestionIndex : request.Index;
+
+        DocumentContent? document;
+        try
+        {
+            document = await documentSummaryService.LoadDocumentAsync(documentId, idx, cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            return BadRequest($"Failed to load '{documentId}': {ex.Message}");
+        }
+
+        if (document is null)
+        {
+            return NotFound($"Document '{documentId}' not found in index '{idx}'.");
+        }
+
+        StartEventStream();
+
+        var name = document.SourceName ?? documentId;
+        var model = string.IsNullOrWhiteSpace(request.Model) ? "default" : request.Model;
+
+        try
+        {
+            var summary = await documentSummaryService.SummarizeAsync(document, request,
+                progress => WriteSseEventAsync("progress", progress, cancellationToken),
+                text => WriteSseEventAsync("token", new { Text = text }, cancellationToken),
+                cancellationToken);
+
+            Log.Information("SUMMARY done docId={DocumentId} model={Model} sections={Sections} text={TextPreview}",
+                documentId, model, summary.Sections.Length,
+                (summary.Summary ?? string.Empty).Length > 200 ? summary.Summary![..200] + "…" : summary.Summary);
+
+            await WriteSseEventAsync("done", new SearchAnswer
+            {
+                Question = $"Summarize \"{name}\" ({summary.Style}, {summary.Length})",
+                Answer = summary.Summary,
+                Model = model,
+                Citations =
+                [
+                    new SearchCitation
+                    {
+                        Index = idx,
+                        DocumentId = documentId,
+                        SourceName = document.SourceName,
+                        Partitions = summary.Sections
+                            .Select((p, i) => new SearchCitationPartition
+                            {
+                                PartitionNumber = p.PartitionNumber,
+                                SectionNumber = p.SectionNumber,
+                                Relevance = 1,
+                                Text = p.Text,
+                                Marker = i + 1
+                            })
+                            .ToArray()
+                    }
+                ]
+            }, cancellationToken);
+        }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            Log.Information("SUMMARY cancelled by client: {DocumentId}", documentId);
+        }
+        catch (Exception ex)
+        {
+            Log.Error("SUMMARY failed: {DocumentId}, error={Error}", documentId, ex.Message);
+            await WriteSseEventAsync("error", new { ex.Message }, CancellationToken.None);
+        }
+
+        return new EmptyResult();
+    }
+
+    /// <summary>
+    /// Compare 2-5 documents as a table of agreements, differences and unique items, streamed as Server-Sent Events
+    /// like /memory/{documentId}/summarize. Cells cite [n] markers resolved by one citation per document.
+    /// </summary>
+    [HttpPost("/memory/compare")]
+    public async Task<IActionResult> CompareDocumentsAsync([FromBody] CompareDocumentsRequest request, CancellationToken cancellationToken = default)
+    {
+        var documentIds = (request?.DocumentIds ?? [])
+            .Where(id => !string.IsNullOrWhiteSpace(id))
+            .Distinct(StringComparer.Ordinal)
+            .ToList();
+        if (documentIds.Count is < 2 or > MaxCompareDocuments)
+        {
+            return BadRequest($"Select 2 to {MaxCompareDocuments} documents to compare.");
+        }
+
+        var idx = string.IsNullOrWhiteSpace(request!.Index) ? _ingestionIndex : request.Index;
+
+        var documents = new List<DocumentContent>();
+        foreach (var documentId in documentIds)
+        {
+            DocumentContent? document;
+            try
+            {
+                document = await documentSummaryService.LoadDocumentAsync(documentId, idx, cancellationToken);
+            }
+            catch (Exception ex)
+            {
+                return BadRequest($"Failed to load '{documentId}': {ex.Message}");
+            }
+
+            if (document is null)
+            {
+                return NotFound($"Document '{documentId}' not found in index '{idx}'.");
+            }
+
+            documents.Add(document);
+        }
+
+        StartEventStream();
+
+        var model = string.IsNullOrWhiteSpace(request.Model) ? "default" : request.Model;
+
+        try
+        {
+            var comparison = await documentSummaryService.CompareAsync(documents, request.Model,
+                progress => WriteSseEventAsync("progress", progress, cancellationToken),
+                text => WriteSseEventAsync("token", new { Text = text }, cancellationToken),
+                cancellationToken);
+
+            Log.Information("COMPARE done docs=[{Documents}] model={Model} length={Length}",
+                string.Join(", ", documentIds), model, comparison.Summary?.Length ?? 0);
+
+            await WriteSseEventAsync("done", new SearchAnswer
+            {
+                Question = "Compare " + string.Join(", ", documents.Select(d => $"\"{d.SourceName ?? d.DocumentId}\"")),
+                Answer = comparison.Summary,
+                Model = model,
+                Citations = comparison.Documents
+                    .Select(d => new SearchCitation
+                    {
+                        Index = d.Index,
+                        DocumentId = d.DocumentId,
+                        SourceName = d.SourceName,
+                        Partitions = d.Sections
+                            .Select((p, i) => new SearchCitationPartition
+                            {
+                                PartitionNumber = p.PartitionNumber,
+                                SectionNumber = p.SectionNumber,
+                                Relevance = 1,
+                                Text = p.Text,
+                                Marker = d.FirstMarker + i
+                            })
+                            .ToArray()
+                    })
+                    .ToArray()
+            }, cancellationToken);
+        }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            Log.Information("COMPARE cancelled by client: {Documents}", string.Join(", ", documentIds));
+        }
+        catch (Exception ex)
+        {
+            Log.Error("COMPARE failed: {Documents}, error={Error}", string.Join(", ", documentIds), ex.Message);
+            await WriteSseEventAsync("error", new { ex.Message }, CancellationToken.None);
+        }
+
+        return new EmptyResult();
+    }
+
     /// <summary>
     /// Delete a document and all its derived memories from Kernel Memory (RAG).
     /// </summary>
@@ -282,12 +803,14 @@ public class SummarizerController(IKernelMemory memory, Kernel kernel, IImportin
                 return "<unknown>";
             }
 
-            void CleanupCache()
+            async Task CleanupCacheAsync()
             {
                 foreach (var kvp in IngestedByFileName.Where(k => k.Value.DocumentId == documentId).ToList())
                 {
                     IngestedByFileName.TryRemove(kvp.Key, out _);
                 }
+
+                await keywordIndexService.RemoveDocumentAsync(documentId);
             }
 
             async Task WaitForDeletionAsync(string docId, string? idx, TimeSpan timeout)
@@ -324,7 +847,7 @@ public class SummarizerController(IKernelMemory memory, Kernel kernel, IImportin
                 // Best-effort wait for deletion to propagate to the vector DB
                 await WaitForDeletionAsync(documentId, index, TimeSpan.FromSeconds(5));
 
-                CleanupCache();
+                await CleanupCacheAsync();
                 return NoContent();
             }
 
@@ -342,7 +865,7 @@ public class SummarizerController(IKernelMemory memory, Kernel kernel, IImportin
 
                     await WaitForDeletionAsync(documentId, idx, TimeSpan.FromSeconds(5));
 
-                    CleanupCache();
+                    await CleanupCacheAsync();
                     return NoContent();
                 }
                 catch
@@ -359,7 +882,7 @@ public class SummarizerController(IKernelMemory memory, Kernel kernel, IImportin
 
                 await WaitForDeletionAsync(documentId, null, TimeSpan.FromSeconds(5));
 
-                CleanupCache();
+                await CleanupCacheAsync();
                 return NoContent();
             }
             catch
@@ -385,135 +908,83 @@ public class SummarizerController(IKernelMemory memory, Kernel kernel, IImportin
     /// question-answering scenarios where supporting evidence is required.</remarks>
     /// <param name="query">The user question or search query to process. Cannot be null or empty.</param>
     /// <param name="model">The identifier of the language model to use for generating the answer. If null or empty, the default model is used.</param>
-    /// <param name="collection">An optional collection code used to filter search results. If not specified, defaults to "Netherlands".</param>
+    /// <param name="collection">An optional collection code used to filter search results; several can be given comma-separated. If not specified, defaults to "Public".</param>
+    /// <param name="cancellationToken">Signalled when the client aborts the request (e.g. the Stop button), ending generation early.</param>
     /// <returns>An <see cref="IActionResult"/> containing the answer to the query, the model used, and a list of supporting
     /// citations. Returns a bad request result if the query is invalid or an error occurs.</returns>
     [HttpGet("/search")]
-    public async Task<IActionResult> SearchAsync(string query, string model, string? collection = null)
-    {
-        if (string.IsNullOrWhiteSpace(query))
-        {
-            return BadRequest("Query cannot be empty.");
-        }
+    public Task<IActionResult> SearchAsync(string query, string model, string? collection = null, CancellationToken cancellationToken = default) =>
+        AnswerAsync(new SearchRequest { Query = query, Model = model, Collection = collection }, cancellationToken);
 
-        collection ??= "Public";
-
-        kernel.ImportPluginFromObject(new MemoryPlugin(memory, waitForIngestionToComplete: true), "memory");
-
-        Log.Information("QUERY: {Query}", query);
+    /// <summary>
+    /// Same as <c>GET /search</c>, but also accepts the recent conversation so follow-up questions
+    /// are condensed into a standalone retrieval query before the memory search.
+    /// </summary>
+    [HttpPost("/search")]
+    public Task<IActionResult> SearchWithHistoryAsync([FromBody] SearchRequest request, CancellationToken cancellationToken = default) =>
+        AnswerAsync(request, cancellationToken);
 
-        var filter = MemoryFilters.ByTag("collection", collection);
+    /// <summary>
+    /// Streaming variant of <c>/search</c>: answers the query as Server-Sent Events so the client can render tokens as they arrive.
+    /// </summary>
+    /// <remarks>Emits one <c>token</c> event per generated chunk (<c>{ text }</c>), then a single <c>done</c> event carrying the
+    /// same payload as <c>/search</c> (question, full answer, model, citations). Failures after the stream has started are
+    /// reported through an <c>error</c> event (<c>{ message }</c>).</remarks>
+    [HttpGet("/search/stream")]
+    public Task<IActionResult> SearchStreamAsync(string query, string model, string? collection = null, CancellationToken cancellationToken = default) =>
+        StreamAnswerAsync(new SearchRequest { Query = query, Model = model, Collection = collection }, cancellationToken);
 
-        var search = await memory.SearchAsync(query, index: _ingestionIndex, limit: _rag.Limit, minRelevance: _rag.MinRelevance, filter: filter);
+    /// <summary>
+    /// Streaming variant of <c>POST /search</c> (conversation-aware); same event contract as <c>GET /search/stream</c>.
+    /// </summary>
+    [HttpPost("/search/stream")]
+    public Task<IActionResult> SearchStreamWithHistoryAsync([FromBody] SearchRequest request, CancellationToken cancellationToken = default) =>
+        StreamAnswerAsync(request, cancellationToken);
 
-        foreach (var r in search.Results)
+    /// <summary>
+    /// Retrieval only: returns the memory search hits as a ranked list of chunks (most relevant first)
+    /// without generating an answer. Uses the query as typed (no follow-up condensing).
+    /// </summary>
+    [HttpPost("/search/chunks")]
+    public async Task<IActionResult> SearchChunksAsync([FromBody] SearchRequest request, CancellationToken cancellationToken = default)
+    {
+        if (request is null || string.IsNullOrWhiteSpace(request.Query))
         {
-            foreach (var p in r.Partitions ?? [])
-            {
-                var preview = p.Text is null
-                    ? ""
-                    : (p.Text.Length > 100 ? (p.Text.Length >= 200 ? p.Text[..200] + "" : p.Text + "") : p.Text);
-
-                Log.Debug("MEMORY index={Index} docId={DocumentId} source={Source} collection={Collection} rel={Relevance} part#{Partition} text={Preview}",
-                    r.Index, r.DocumentId, r.SourceName, p.Tags["collection"], p.Relevance, p.PartitionNumber, preview);
-            }
+            return BadRequest("Query cannot be empty.");
         }
 
-        var prompt = """
-            Please use this information to answer the question:
-            -----------------
-            {{memory.ask question=$query index=$index limit=$limit minRelevance=$minRelevance}}
-            -----------------
+        var collections = ResolveCollections(request);
+        var documentIds = ResolveDocumentIds(request);
+        var options = ResolveRetrievalOptions(request);
 
-            Question: {{$query}}
-            """;
-
-        var executionSettings = new OllamaPromptExecutionSettings
-        {
-            NumPredict = _rag.MaxTokens,
-            Temperature = _rag.Temperature
-        };
-
-        if (!string.IsNullOrWhiteSpace(model))
-        {
-            executionSettings.ModelId = model;
-        }
-
-        var kernelArguments = new KernelArguments(executionSettings)
-        {
-            ["query"] = query,
-            ["index"] = _ingestionIndex,
-            ["limit"] = _rag.Limit,
-            ["minRelevance"] = _rag.MinRelevance
-        };
+        Log.Information("QUERY (chunks): {Query} collections=[{Collections}] documents=[{Documents}]", request.Query, string.Join(", ", collections), string.Join(", ", documentIds));
 
         try
         {
-            var answerText = await kernel.InvokePromptAsync<string>(prompt, kernelArguments);
-
-            Log.Information("ANSWER model={Model} index={Index} limit={Limit} minRelevance={MinRelevance} text={TextPreview}",
-                string.IsNullOrWhiteSpace(model) ? "default" : model,
-                _ingestionIndex,
-                _rag.Limit,
-                _rag.MinRelevance,
-                (((answerText ?? string.Empty).Length > 200) ? answerText![..200] + "" : answerText));
+            var (queries, subQueries) = await ExpandQueryAsync(request.Query, options, request.Model, cancellationToken);
+            var chunks = await SearchMemoryAsync(queries, collections, documentIds, options, request.Model, cancellationToken);
 
-            // Build a compact citation DTO (top 3 chunks per source)
-            var citations = (search.Results ?? [])
-                .Select(r => new
+            // already in retrieval order (relevance, fused score or rerank)
+            var results = chunks
+                .Select((c, i) => new RankedChunk
                 {
-                    r.Index,
-                    r.DocumentId,
-                    r.SourceName,
-                    r.SourceContentType,
-                    r.SourceUrl,
-                    r.Link,
-                    Partitions = (r.Partitions ?? [])
-                        .OrderByDescending(p => p.Relevance)
-                        .Take(3)
-                        .Select(p => new
-                        {
-                            p.PartitionNumber,
-                            p.SectionNumber,
-                            Relevance = Math.Round(p.Relevance, 3),
-                            p.Text
-                        })
-                        .ToArray()
+                    Rank = i + 1,
+                    Index = c.Index,
+                    DocumentId = c.DocumentId,
+                    SourceName = c.SourceName,
+                    PartitionNumber = c.PartitionNumber,
+                    SectionNumber = c.SectionNumber,
+                    Relevance = Math.Round(c.Relevance, 3),
+                    Text = c.Text,
+                    Scores = c.Scores
                 })
                 .ToArray();
 
-            // Log which KM chunks were referenced
-            if (citations.Length > 0)
-            {
-                foreach (var c in citations)
-                {
-                    var parts = c.Partitions;
-                    var partsSummary = parts.Length == 0
-                        ? "<none>"
-                        : string.Join(", ", parts.Select(p => $"#{p.PartitionNumber}" + (p.SectionNumber > 0 ? $"/p{p.SectionNumber}" : "") + $"(rel={p.Relevance:F3})"));
-                    Log.Information("CITATIONS index={Index} docId={DocId} source={Source} parts=[{Parts}]",
-                        c.Index,
-                        string.IsNullOrWhiteSpace(c.DocumentId) ? "<none>" : c.DocumentId,
-                        c.SourceName ?? c.Link ?? c.SourceUrl ?? "<unknown>",
-                        partsSummary);
-                }
-            }
-            else
-            {
-                Log.Information("CITATIONS <none>");
-            }
-
-            return Ok(new
-            {
-                Question = query,
-                Answer = answerText,
-                Model = string.IsNullOrWhiteSpace(model) ? "default" : model,
-                Citations = citations
-            });
+            return Ok(new ChunkSearchResult { Query = request.Query, SubQueries = subQueries, Retrieval = options, Results = results });
         }
         catch (Exception ex)
         {
-            return BadRequest(ex.Message);
+            return BadRequest($"Search failed: {ex.Message}");
         }
     }
 
@@ -602,4 +1073,487 @@ public class SummarizerController(IKernelMemory memory, Kernel kernel, IImportin
 
         return (false, true, msg);
     }
+
+    // Shared body of GET/POST /search: condense the follow-up (if any), expand it (if enabled), retrieve, then answer
+    private async Task<IActionResult> AnswerAsync(SearchRequest request, CancellationToken cancellationToken)
+    {
+        if (request is null || string.IsNullOrWhiteSpace(request.Query))
+        {
+            return BadRequest("Query cannot be empty.");
+        }
+
+        var query = request.Query;
+        var model = request.Model;
+        var collections = ResolveCollections(request);
+        var documentIds = ResolveDocumentIds(request);
+        var options = ResolveRetrievalOptions(request);
+
+        Log.Information("QUERY: {Query} collections=[{Collections}] documents=[{Documents}]", query, string.Join(", ", collections), string.Join(", ", documentIds));
+
+        var retrievalQuery = await queryRewritingService.CondenseAsync(query, request.History, model, cancellationToken);
+        var (queries, subQueries) = await ExpandQueryAsync(retrievalQuery, options, model, cancellationToken);
+        var chunks = await SearchMemoryAsync(queries, collections, documentIds, options, model, cancellationToken);
+        var citations = BuildCitations(chunks);
+        var grounding = CheckRetrieval(citations, retrievalQuery, options);
+
+        try
+        {
+            var template = await promptTemplateService.ResolveAsync(request.TemplateId, cancellationToken);
+            string? answerText;
+            ClaimCheck[] claims = [];
+
+            if (groundingService.ShouldRefuse(grounding, request.RefuseUngrounded))
+            {
+                answerText = GroundingService.RefusalAnswer;
+                grounding.Refused = true;
+            }
+            else
+            {
+                answerText = await kernel.InvokePromptAsync<string>(template.Template!, CreateKernelArguments(retrievalQuery, model, BuildSources(citations), request.Language, options), cancellationToken: cancellationToken);
+                grounding = groundingService.CheckAnswer(grounding, answerText, SourceTexts(citations));
+                claims = await VerifyClaimsAsync(request, answerText, citations, model, cancellationToken);
+            }
+
+            LogAnswer(model, template.Id, answerText, options);
+            LogGrounding(grounding);
+            LogCitations(citations);
+
+            return Ok(new SearchAnswer
+            {
+                Question = query,
+                StandaloneQuery = retrievalQuery,
+                SubQueries = subQueries,
+                Answer = answerText,
+                Model = string.IsNullOrWhiteSpace(model) ? "default" : model,
+                TemplateId = template.Id,
+                TemplateName = template.Name,
+                Citations = citations,
+                Retrieval = options,
+                Grounding = grounding,
+                Claims = claims
+            });
+        }
+        catch (Exception ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    // Shared body of GET/POST /search/stream; errors after the headers are sent go out as an SSE "error" event
+    private async Task<IActionResult> StreamAnswerAsync(SearchRequest request, CancellationToken cancellationToken)
+    {
+        if (request is null || string.IsNullOrWhiteSpace(request.Query))
+        {
+            return BadRequest("Query cannot be empty.");
+        }
+
+        var query = request.Query;
+        var model = request.Model;
+        var collections = ResolveCollections(request);
+        var documentIds = ResolveDocumentIds(request);
+        var options = ResolveRetrievalOptions(request);
+
+        StartEventStream();
+
+        Log.Information("QUERY (stream): {Query} collections=[{Collections}] documents=[{Documents}]", query, string.Join(", ", collections), string.Join(", ", documentIds));
+
+        try
+        {
+            var retrievalQuery = await queryRewritingService.CondenseAsync(query, request.History, model, cancellationToken);
+            var (queries, subQueries) = await ExpandQueryAsync(retrievalQuery, options, model, cancellationToken);
+            var chunks = await SearchMemoryAsync(queries, collections, documentIds, options, model, cancellationToken);
+            var citations = BuildCitations(chunks);
+            var grounding = CheckRetrieval(citations, retrievalQuery, options);
+            var template = await promptTemplateService.ResolveAsync(request.TemplateId, cancellationToken);
+            string answerText;
+            ClaimCheck[] claims = [];
+
+            if (groundingService.ShouldRefuse(grounding, request.RefuseUngrounded))
+            {
+                answerText = GroundingService.RefusalAnswer;
+                grounding.Refused = true;
+                await WriteSseEventAsync("token", new { Text = answerText }, cancellationToken);
+            }
+            else
+            {
+                var answer = new StringBuilder();
+                await foreach (var chunk in kernel.InvokePromptStreamingAsync<string>(template.Template!, CreateKernelArguments(retrievalQuery, model, BuildSources(citations), request.Language, options), cancellationToken: cancellationToken))
+                {
+                    if (string.IsNullOrEmpty(chunk)) continue;
+
+                    answer.Append(chunk);
+                    await WriteSseEventAsync("token", new { Text = chunk }, cancellationToken);
+                }
+
+                answerText = answer.ToString();
+                grounding = groundingService.CheckAnswer(grounding, answerText, SourceTexts(citations));
+                claims = await VerifyClaimsAsync(request, answerText, citations, model, cancellationToken);
+            }
+
+            LogAnswer(model, template.Id, answerText, options);
+            LogGrounding(grounding);
+            LogCitations(citations);
+
+            await WriteSseEventAsync("done", new SearchAnswer
+            {
+                Question = query,
+                StandaloneQuery = retrievalQuery,
+                SubQueries = subQueries,
+                Answer = answerText,
+                Model = string.IsNullOrWhiteSpace(model) ? "default" : model,
+                TemplateId = template.Id,
+                TemplateName = template.Name,
+                Citations = citations,
+                Retrieval = options,
+                Grounding = grounding,
+                Claims = claims
+            }, cancellationToken);
+        }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            Log.Information("QUERY (stream) cancelled by client: {Query}", query);
+        }
+        catch (Exception ex)
+        {
+            Log.Error("QUERY (stream) failed: {Query}, error={Error}", query, ex.Message);
+            await WriteSseEventAsync("error", new { ex.Message }, CancellationToken.None);
+        }
+
+        return new EmptyResult();
+    }
+
+    private static readonly JsonSerializerOptions SseJsonOptions = new(JsonSerializerDefaults.Web);
+
+    private const int MaxCompareDocuments = 5;
+
+    private static readonly string[] RetrievalStrategies = ["vector", "keyword", "hybrid"];
+
+    // Collections to search: the explicit list, else the single (possibly comma-separated) collection, else "Public"
+    private static string[] ResolveCollections(SearchRequest request)
+    {
+        var requested = request.Collections is { Count: > 0 }
+            ? request.Collections
+            : new List<string> { request.Collection ?? string.Empty };
+
+        var collections = requested
+            .SelectMany(c => (c ?? string.Empty).Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries))
+            .Distinct(StringComparer.OrdinalIgnoreCase)
+            .ToArray();
+
+        return collections.Length > 0 ? collections : ["Public"];
+    }
+
+    // Documents the question is restricted to (ticked in the file list or @mentioned); empty means the whole collections
+    private static string[] ResolveDocumentIds(SearchRequest request) =>
+        (request.DocumentIds ?? [])
+            .Where(id => !string.IsNullOrWhiteSpace(id))
+            .Select(id => id.Trim())
+            .Distinct(StringComparer.Ordinal)
+            .ToArray();
+
+    // Per-request overrides of the configured retrieval/generation settings, clamped to safe ranges
+    private RetrievalOptions ResolveRetrievalOptions(SearchRequest request)
+    {
+        var maxLimit = _rag.MaxLimit > 0 ? _rag.MaxLimit : 500;
+        var maxTokens = _rag.MaxResponseTokens > 0 ? _rag.MaxResponseTokens : 32768;
+
+        var options = new RetrievalOptions
+        {
+            Limit = Math.Clamp(request.Limit ?? _rag.Limit, 1, maxLimit),
+            MinRelevance = Math.Clamp(request.MinRelevance is double r && double.IsFinite(r) ? r : _rag.MinRelevance, 0, 1),
+            MaxTokens = Math.Clamp(request.MaxTokens ?? _rag.MaxTokens, 16, maxTokens),
+            Temperature = Math.Clamp(request.Temperature is float t && float.IsFinite(t) ? t : _rag.Temperature, 0f, 2f),
+            Strategy = ResolveStrategy(request.Strategy) ?? ResolveStrategy(hybridRetrievalSettings.Value.Strategy) ?? "vector",
+            Rerank = request.Rerank ?? hybridRetrievalSettings.Value.Rerank,
+            ExpandQuery = request.ExpandQuery ?? _rag.ExpandQuery
+        };
+
+        if (request.Limit.HasValue || request.MinRelevance.HasValue || request.MaxTokens.HasValue || request.Temperature.HasValue
+            || !string.IsNullOrWhiteSpace(request.Strategy) || request.Rerank.HasValue || request.ExpandQuery.HasValue)
+        {
+            Log.Information("RETRIEVAL overrides: limit={Limit} minRelevance={MinRelevance} maxTokens={MaxTokens} temperature={Temperature} strategy={Strategy} rerank={Rerank} expandQuery={ExpandQuery}",
+                options.Limit, options.MinRelevance, options.MaxTokens, options.Temperature, options.Strategy, options.Rerank, options.ExpandQuery);
+        }
+
+        return options;
+    }
+
+    private static string? ResolveStrategy(string? strategy) =>
+        RetrievalStrategies.FirstOrDefault(s => string.Equals(s, strategy?.Trim(), StringComparison.OrdinalIgnoreCase));
+
+    // Runs the retrieval backing the citations and logs a preview of each retrieved partition. Every query (the question
+    // first, then its expansions) is searched on its own and the results merged by partition; rerank then lets the model
+    // reorder the best candidates against the question. Returns the chunks best first.
+    private async Task<RetrievedChunk[]> SearchMemoryAsync(IReadOnlyList<string> queries, IReadOnlyCollection<string> collections, IReadOnlyCollection<string> documentIds, RetrievalOptions options, string? model, CancellationToken cancellationToken = default)
+    {
+        var perQuery = new List<RetrievedChunk[]>();
+        foreach (var query in queries)
+        {
+            perQuery.Add(await RetrieveAsync(query, collections, documentIds, options, cancellationToken));
+        }
+
+        var chunks = perQuery.Count == 1 ? perQuery[0] : hybridRetrievalService.MergeQueries(perQuery, options.Limit);
+
+        if (options.Rerank)
+        {
+            chunks = await hybridRetrievalService.RerankAsync(queries[0], chunks, model, cancellationToken);
+        }
+
+        if (perQuery.Count > 1)
+        {
+            Log.Information("RETRIEVAL merged queries={Queries} found=[{Found}] results={Results}",
+                perQuery.Count, string.Join(", ", perQuery.Select(r => r.Length)), chunks.Length);
+        }
+
+        foreach (var c in chunks)
+        {
+            var preview = c.Text is null
+                ? ""
+                : (c.Text.Length > 100 ? (c.Text.Length >= 200 ? c.Text[..200] + "…" : c.Text + "…") : c.Text);
+
+            Log.Debug("MEMORY index={Index} docId={DocumentId} source={Source} collection={Collection} rel={Relevance} vector#{VectorRank} keyword#{KeywordRank} rerank#{RerankRank} queries={QueryHits} part#{Partition} text={Preview}",
+                c.Index, c.DocumentId, c.SourceName, c.Collection, c.Relevance, c.Scores.VectorRank, c.Scores.KeywordRank, c.Scores.RerankRank, c.Scores.QueryHits, c.PartitionNumber, preview);
+        }
+
+        return chunks;
+    }
+
+    // One query. Vector: Kernel Memory similarity search, one tag filter per collection (KM ORs multiple filters);
+    // documents picked for the question replace the collection filters. Keyword: BM25 over the same scope.
+    // Hybrid fuses both (RRF).
+    private async Task<RetrievedChunk[]> RetrieveAsync(string query, IReadOnlyCollection<string> collections, IReadOnlyCollection<string> documentIds, RetrievalOptions options, CancellationToken cancellationToken)
+    {
+        RetrievedChunk[] vector = [];
+        if (options.Strategy != "keyword")
+        {
+            var filters = documentIds.Count > 0
+                ? documentIds.Select(MemoryFilters.ByDocument).ToList()
+                : collections.Select(c => MemoryFilters.ByTag("collection", c)).ToList();
+
+            var search = await memory.SearchAsync(query, index: _ingestionIndex, filters: filters, limit: options.Limit, minRelevance: options.MinRelevance, cancellationToken: cancellationToken);
+            vector = ToRetrievedChunks(search);
+        }
+
+        IReadOnlyList<RetrievedChunk> keyword = [];
+        if (options.Strategy != "vector")
+        {
+            try
+            {
+                keyword = await keywordIndexService.SearchAsync(query, _ingestionIndex, collections, documentIds, options.Limit, cancellationToken);
+            }
+            catch (Exception ex) when (ex is not OperationCanceledException)
+            {
+                Log.Warning("KEYWORD search failed, using vector results only: {Error}", ex.Message);
+            }
+        }
+
+        var chunks = options.Strategy switch
+        {
+            "keyword" => keyword.ToArray(),
+            "hybrid" => hybridRetrievalService.Fuse(vector, keyword, options.Limit),
+            _ => vector
+        };
+
+        Log.Information("RETRIEVAL query={Query} strategy={Strategy} vector={Vector} keyword={Keyword} results={Results}",
+            query, options.Strategy, vector.Length, keyword.Count, chunks.Length);
+
+        return chunks;
+    }
+
+    // The retrieval query plus, when expansion is on, the model's paraphrases/sub-questions of it
+    private async Task<(string[] Queries, string[] SubQueries)> ExpandQueryAsync(string query, RetrievalOptions options, string? model, CancellationToken cancellationToken)
+    {
+        string[] subQueries = options.ExpandQuery
+            ? await queryRewritingService.ExpandAsync(query, model, cancellationToken)
+            : [];
+
+        return ([query, .. subQueries], subQueries);
+    }
+
+    // Vector hits as ranked chunks (best first)
+    private static RetrievedChunk[] ToRetrievedChunks(SearchResult search) =>
+        (search.Results ?? [])
+            .SelectMany(r => (r.Partitions ?? []).Select(p => new RetrievedChunk
+            {
+                Index = r.Index,
+                DocumentId = r.DocumentId,
+                SourceName = r.SourceName,
+                SourceContentType = r.SourceContentType,
+                SourceUrl = r.SourceUrl,
+                Link = r.Link,
+                Collection = p.Tags.TryGetValue("collection", out var values) ? values.FirstOrDefault() : null,
+                PartitionNumber = p.PartitionNumber,
+                SectionNumber = p.SectionNumber,
+                Text = p.Text,
+                Relevance = p.Relevance
+            }))
+            .OrderByDescending(c => c.Relevance)
+            .Select((c, i) =>
+            {
+                c.Scores.Vector = Math.Round(c.Relevance, 3);
+                c.Scores.VectorRank = i + 1;
+                return c;
+            })
+            .ToArray();
+
+    private static KernelArguments CreateKernelArguments(string query, string? model, string sources, string? language, RetrievalOptions options)
+    {
+        var executionSettings = new OllamaPromptExecutionSettings
+        {
+            NumPredict = options.MaxTokens,
+            Temperature = options.Temperature
+        };
+
+        if (!string.IsNullOrWhiteSpace(model))
+        {
+            executionSettings.ModelId = model;
+        }
+
+        return new KernelArguments(executionSettings)
+        {
+            ["query"] = query,
+            ["sources"] = sources,
+            ["language"] = string.IsNullOrWhiteSpace(language) ? "English" : language.Trim()
+        };
+    }
+
+    // Render the cited chunks into the prompt (best sources first) within the configured budget (~4 chars/token),
+    // so the answer is grounded in exactly the filtered search results returned as citations
+    private string BuildSources(SearchCitation[] citations)
+    {
+        var budget = _rag.SourcesMaxTokens > 0 ? _rag.SourcesMaxTokens : int.MaxValue;
+        var sources = new StringBuilder();
+
+        foreach (var c in citations)
+        {
+            foreach (var p in c.Partitions)
+            {
+                if (string.IsNullOrWhiteSpace(p.Text)) continue;
+
+                var block = $"[{p.Marker}] Source: {c.SourceName ?? c.DocumentId} | chunk #{p.PartitionNumber}\n{p.Text.Trim()}\n\n";
+                var cost = block.Length / 4;
+                if (cost > budget) return sources.ToString().TrimEnd();
+
+                budget -= cost;
+                sources.Append(block);
+            }
+        }
+
+        return sources.Length > 0 ? sources.ToString().TrimEnd() : "(no relevant information found)";
+    }
+
+    private void LogAnswer(string? model, string? templateId, string? answerText, RetrievalOptions options)
+    {
+        Log.Information("ANSWER model={Model} template={Template} index={Index} limit={Limit} minRelevance={MinRelevance} text={TextPreview}",
+            string.IsNullOrWhiteSpace(model) ? "default" : model,
+            templateId,
+            _ingestionIndex,
+            options.Limit,
+            options.MinRelevance,
+            (((answerText ?? string.Empty).Length > 200) ? answerText![..200] + "…" : answerText));
+    }
+
+    private static void LogGrounding(GroundingCheck grounding)
+    {
+        Log.Information("GROUNDING level={Level} confidence={Confidence} retrieval={RetrievalScore} overlap={OverlapScore} sources={SourceCount} refused={Refused}",
+            grounding.Level, grounding.Confidence, grounding.RetrievalScore, grounding.OverlapScore, grounding.SourceCount, grounding.Refused);
+    }
+
+    // Sentence-level check of a generated answer against the chunks it cites (per request, else the configured default)
+    private Task<ClaimCheck[]> VerifyClaimsAsync(SearchRequest request, string? answerText, SearchCitation[] citations, string? model, CancellationToken cancellationToken)
+    {
+        if (!(request.VerifyClaims ?? groundingSettings.Value.VerifyClaims))
+        {
+            return Task.FromResult<ClaimCheck[]>([]);
+        }
+
+        var sources = citations
+            .SelectMany(c => c.Partitions)
+            .Where(p => !string.IsNullOrWhiteSpace(p.Text))
+            .ToDictionary(p => p.Marker, p => p.Text!);
+
+        return groundingService.VerifyClaimsAsync(answerText, sources, model, request.JudgeClaims, cancellationToken);
+    }
+
+    // Grounding scores vector similarity: keyword-only hits (BM25 scores) have no comparable relevance, so they are
+    // passed as texts (they still count as sources, and score the retrieval when there are no vector hits)
+    private GroundingCheck CheckRetrieval(SearchCitation[] citations, string query, RetrievalOptions options)
+    {
+        var partitions = citations.SelectMany(c => c.Partitions).ToArray();
+        var relevances = partitions.Where(p => p.Scores?.Vector is not null).Select(p => p.Relevance).ToArray();
+        var keywordOnly = partitions.Where(p => p.Scores?.Vector is null).Select(p => p.Text).ToArray();
+
+        return groundingService.CheckRetrieval(relevances, keywordOnly, query, options.MinRelevance);
+    }
+
+    private static IEnumerable<string?> SourceTexts(SearchCitation[] citations) =>
+        citations.SelectMany(c => c.Partitions).Select(p => p.Text);
+
+    // Build a compact citation DTO (top 3 chunks per source), sources in the order of their best chunk
+    // Partitions are numbered 1..n in citation order; the prompt labels sources with these markers
+    private static SearchCitation[] BuildCitations(RetrievedChunk[] chunks)
+    {
+        var marker = 0;
+        return chunks
+            .GroupBy(c => (c.Index, c.DocumentId))
+            .Select(g => new SearchCitation
+            {
+                Index = g.Key.Index,
+                DocumentId = g.Key.DocumentId,
+                SourceName = g.First().SourceName,
+                SourceContentType = g.First().SourceContentType,
+                SourceUrl = g.First().SourceUrl,
+                Link = g.First().Link,
+                Partitions = g
+                    .Take(3)
+                    .Select(c => new SearchCitationPartition
+                    {
+                        PartitionNumber = c.PartitionNumber,
+                        SectionNumber = c.SectionNumber,
+                        Relevance = Math.Round(c.Relevance, 3),
+                        Text = c.Text,
+                        Marker = ++marker,
+                        Scores = c.Scores
+                    })
+                    .ToArray()
+            })
+            .ToArray();
+    }
+
+    // Log which KM chunks were referenced
+    private static void LogCitations(SearchCitation[] citations)
+    {
+        if (citations.Length == 0)
+        {
+            Log.Information("CITATIONS <none>");
+            return;
+        }
+
+        foreach (var c in citations)
+        {
+            var parts = c.Partitions;
+            var partsSummary = parts.Length == 0
+                ? "<none>"
+                : string.Join(", ", parts.Select(p => $"#{p.PartitionNumber}" + (p.SectionNumber > 0 ? $"/p{p.SectionNumber}" : "") + $"(rel={p.Relevance:F3})"));
+            Log.Information("CITATIONS index={Index} docId={DocId} source={Source} parts=[{Parts}]",
+                c.Index,
+                string.IsNullOrWhiteSpace(c.DocumentId) ? "<none>" : c.DocumentId,
+                c.SourceName ?? c.Link ?? c.SourceUrl ?? "<unknown>",
+                partsSummary);
+        }
+    }
+
+    private void StartEventStream()
+    {
+        Response.ContentType = "text/event-stream";
+        Response.Headers.CacheControl = "no-cache";
+        Response.Headers["X-Accel-Buffering"] = "no";
+    }
+
+    private async Task WriteSseEventAsync(string eventName, object payload, CancellationToken cancellationToken)
+    {
+        var json = JsonSerializer.Serialize(payload, SseJsonOptions);
+        await Response.WriteAsync($"event: {eventName}\ndata: {json}\n\n", cancellationToken);
+        await Response.Body.FlushAsync(cancellationToken);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,12 @@
+﻿using Apex.SummarizerWithRAG.Models;
+
+namespace Apex.SummarizerWithRAG.Interfaces;
+
+public interface IChunkedUploadService
+{
+    Task<ChunkedUploadSession> CreateSessionAsync(string fileName, long size, string collection, CancellationToken cancellationToken = default);
+    Task<ChunkedUploadSession?> GetSessionAsync(string uploadId, CancellationToken cancellationToken = default);
+    Task<bool> SaveChunkAsync(string uploadId, int chunkNumber, Stream content, string checksum, CancellationToken cancellationToken = default);
+    Task<string?> CompleteAsync(string uploadId, CancellationToken cancellationToken = default);
+    bool DeleteSession(string uploadId);
+}
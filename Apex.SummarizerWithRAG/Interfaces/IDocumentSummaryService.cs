@@ -0,0 +1,10 @@
+﻿using Apex.SummarizerWithRAG.Models;
+
+namespace Apex.SummarizerWithRAG.Interfaces;
+
+public interface IDocumentSummaryService
+{
+    Task<DocumentContent?> LoadDocumentAsync(string documentId, string index, CancellationToken cancellationToken = default);
+    Task<DocumentSummary> SummarizeAsync(DocumentContent document, SummarizeRequest request, Func<SummaryProgress, Task> onProgress, Func<string, Task> onToken, CancellationToken cancellationToken = default);
+    Task<DocumentComparison> CompareAsync(IReadOnlyList<DocumentContent> documents, string? model, Func<SummaryProgress, Task> onProgress, Func<string, Task> onToken, CancellationToken cancellationToken = default);
+}
@@ -0,0 +1,9 @@
+﻿using Apex.SummarizerWithRAG.Models;
+
+namespace Apex.SummarizerWithRAG.Interfaces;
+
+public interface IFeedbackService
+{
+    Task<AnswerFeedback> SaveAsync(AnswerFeedback feedback, CancellationToken cancellationToken = default);
+    Task<IReadOnlyList<AnswerFeedback>> ListAsync(string? model = null, string? documentId = null, CancellationToken cancellationToken = default);
+}
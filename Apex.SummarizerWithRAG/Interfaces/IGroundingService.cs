@@ -0,0 +1,11 @@
+﻿using Apex.SummarizerWithRAG.Models;
+
+namespace Apex.SummarizerWithRAG.Interfaces;
+
+public interface IGroundingService
+{
+    GroundingCheck CheckRetrieval(IReadOnlyCollection<double> relevances, IReadOnlyCollection<string?> keywordOnlySources, string? query, double minRelevance);
+    GroundingCheck CheckAnswer(GroundingCheck retrieval, string? answer, IEnumerable<string?> sources);
+    bool ShouldRefuse(GroundingCheck retrieval, bool? refuseUngrounded);
+    Task<ClaimCheck[]> VerifyClaimsAsync(string? answer, IReadOnlyDictionary<int, string> sources, string? model, bool? judge, CancellationToken cancellationToken = default);
+}
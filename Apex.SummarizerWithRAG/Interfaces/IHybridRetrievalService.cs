@@ -0,0 +1,10 @@
+﻿using Apex.SummarizerWithRAG.Models;
+
+namespace Apex.SummarizerWithRAG.Interfaces;
+
+public interface IHybridRetrievalService
+{
+    RetrievedChunk[] Fuse(IReadOnlyList<RetrievedChunk> vector, IReadOnlyList<RetrievedChunk> keyword, int limit);
+    RetrievedChunk[] MergeQueries(IReadOnlyList<RetrievedChunk[]> perQuery, int limit);
+    Task<RetrievedChunk[]> RerankAsync(string query, RetrievedChunk[] chunks, string? model, CancellationToken cancellationToken = default);
+}
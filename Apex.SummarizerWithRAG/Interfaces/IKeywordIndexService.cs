@@ -0,0 +1,12 @@
+﻿using Apex.SummarizerWithRAG.Models;
+
+namespace Apex.SummarizerWithRAG.Interfaces;
+
+public interface IKeywordIndexService
+{
+    Task<bool> IndexDocumentAsync(string documentId, string index, CancellationToken cancellationToken = default);
+    Task<bool> ContainsAsync(string documentId, CancellationToken cancellationToken = default);
+    Task RemoveDocumentAsync(string documentId, CancellationToken cancellationToken = default);
+    Task<int> RebuildAsync(string index, CancellationToken cancellationToken = default);
+    Task<IReadOnlyList<RetrievedChunk>> SearchAsync(string query, string index, IReadOnlyCollection<string> collections, IReadOnlyCollection<string> documentIds, int limit, CancellationToken cancellationToken = default);
+}
@@ -0,0 +1,6 @@
+﻿namespace Apex.SummarizerWithRAG.Interfaces;
+
+public interface IKeywordIndexingService
+{
+    void Enqueue(string documentId, string index);
+}
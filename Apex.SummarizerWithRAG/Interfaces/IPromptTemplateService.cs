@@ -0,0 +1,13 @@
+﻿using Apex.SummarizerWithRAG.Models;
+
+namespace Apex.SummarizerWithRAG.Interfaces;
+
+public interface IPromptTemplateService
+{
+    Task<IReadOnlyList<PromptTemplate>> ListAsync(CancellationToken cancellationToken = default);
+    Task<PromptTemplate?> GetAsync(string id, CancellationToken cancellationToken = default);
+    Task<PromptTemplate> ResolveAsync(string? id, CancellationToken cancellationToken = default);
+    Task<PromptTemplate> AddAsync(PromptTemplate template, CancellationToken cancellationToken = default);
+    Task<PromptTemplate?> UpdateAsync(string id, PromptTemplate template, CancellationToken cancellationToken = default);
+    Task<bool> DeleteAsync(string id, CancellationToken cancellationToken = default);
+}
@@ -0,0 +1,9 @@
+﻿using Apex.SummarizerWithRAG.Models;
+
+namespace Apex.SummarizerWithRAG.Interfaces;
+
+public interface IQueryRewritingService
+{
+    Task<string> CondenseAsync(string question, IReadOnlyList<ChatTurn> history, string? model, CancellationToken cancellationToken = default);
+    Task<string[]> ExpandAsync(string query, string? model, CancellationToken cancellationToken = default);
+}
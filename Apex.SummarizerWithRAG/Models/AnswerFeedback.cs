@@ -0,0 +1,15 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class AnswerFeedback
+{
+    public string? Id { get; set; }
+    public DateTimeOffset CreatedUtc { get; set; }
+    public string? Rating { get; set; }
+    public List<string> Reasons { get; set; } = [];
+    public string? Correction { get; set; }
+    public string? Question { get; set; }
+    public string? Answer { get; set; }
+    public string? Model { get; set; }
+    public string? ConversationId { get; set; }
+    public List<FeedbackChunkRef> Chunks { get; set; } = [];
+}
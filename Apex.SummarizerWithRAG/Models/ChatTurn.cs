@@ -0,0 +1,7 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class ChatTurn
+{
+    public string? Role { get; set; }
+    public string? Content { get; set; }
+}
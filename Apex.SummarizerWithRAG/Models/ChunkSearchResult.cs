@@ -0,0 +1,9 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+internal sealed class ChunkSearchResult
+{
+    public string? Query { get; set; }
+    public string[] SubQueries { get; set; } = [];
+    public RetrievalOptions? Retrieval { get; set; }
+    public RankedChunk[] Results { get; set; } = [];
+}
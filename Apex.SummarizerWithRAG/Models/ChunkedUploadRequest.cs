@@ -0,0 +1,8 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class ChunkedUploadRequest
+{
+    public string? FileName { get; set; }
+    public long Size { get; set; }
+    public string? Collection { get; set; }
+}
@@ -0,0 +1,13 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class ChunkedUploadSession
+{
+    public string UploadId { get; set; } = string.Empty;
+    public string FileName { get; set; } = string.Empty;
+    public long Size { get; set; }
+    public int ChunkSize { get; set; }
+    public int TotalChunks { get; set; }
+    public string Collection { get; set; } = "Public";
+    public DateTimeOffset CreatedUtc { get; set; }
+    public int[] ReceivedChunks { get; set; } = [];
+}
@@ -0,0 +1,11 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class ClaimCheck
+{
+    public string? Text { get; set; }
+    public bool Supported { get; set; }
+    public double Score { get; set; }
+    public int[] Markers { get; set; } = [];
+    public int? BestMarker { get; set; }
+    public string Method { get; set; } = "lexical";
+}
@@ -0,0 +1,8 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class CompareDocumentsRequest
+{
+    public List<string> DocumentIds { get; set; } = [];
+    public string? Index { get; set; }
+    public string? Model { get; set; }
+}
@@ -0,0 +1,10 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class ComparedDocument
+{
+    public string? Index { get; set; }
+    public string? DocumentId { get; set; }
+    public string? SourceName { get; set; }
+    public int FirstMarker { get; set; }
+    public DocumentPartition[] Sections { get; set; } = [];
+}
@@ -0,0 +1,7 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class DocumentComparison
+{
+    public string? Summary { get; set; }
+    public ComparedDocument[] Documents { get; set; } = [];
+}
@@ -0,0 +1,9 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class DocumentContent
+{
+    public string? Index { get; set; }
+    public string? DocumentId { get; set; }
+    public string? SourceName { get; set; }
+    public DocumentPartition[] Partitions { get; set; } = [];
+}
@@ -0,0 +1,8 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class DocumentPartition
+{
+    public int PartitionNumber { get; set; }
+    public int SectionNumber { get; set; }
+    public string? Text { get; set; }
+}
@@ -0,0 +1,11 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+internal sealed class DocumentPartitionsPage
+{
+    public string? Index { get; set; }
+    public string? DocumentId { get; set; }
+    public string? SourceName { get; set; }
+    public int TotalPartitions { get; set; }
+    public int From { get; set; }
+    public DocumentPartition[] Partitions { get; set; } = [];
+}
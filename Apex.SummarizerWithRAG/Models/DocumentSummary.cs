@@ -0,0 +1,10 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class DocumentSummary
+{
+    public string? Summary { get; set; }
+    public string? Style { get; set; }
+    public string? Length { get; set; }
+    public int PartitionCount { get; set; }
+    public DocumentPartition[] Sections { get; set; } = [];
+}
@@ -0,0 +1,10 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class FeedbackChunkRef
+{
+    public string? DocumentId { get; set; }
+    public string? Index { get; set; }
+    public int? Partition { get; set; }
+    public int? Section { get; set; }
+    public double? Relevance { get; set; }
+}
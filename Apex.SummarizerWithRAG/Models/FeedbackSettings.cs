@@ -0,0 +1,6 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class FeedbackSettings
+{
+    public string? FilePath { get; set; }
+}
@@ -0,0 +1,11 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class GroundingCheck
+{
+    public double Confidence { get; set; }
+    public double RetrievalScore { get; set; }
+    public double? OverlapScore { get; set; }
+    public string Level { get; set; } = "none";
+    public int SourceCount { get; set; }
+    public bool Refused { get; set; }
+}
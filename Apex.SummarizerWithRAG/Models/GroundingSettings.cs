@@ -0,0 +1,13 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class GroundingSettings
+{
+    public double StrongRelevance { get; set; }
+    public double WeakConfidence { get; set; }
+    public double RefuseBelowConfidence { get; set; }
+    public bool RefuseUngrounded { get; set; }
+    public bool VerifyClaims { get; set; }
+    public double ClaimSupportThreshold { get; set; }
+    public bool JudgeClaims { get; set; }
+    public int JudgeMaxClaims { get; set; }
+}
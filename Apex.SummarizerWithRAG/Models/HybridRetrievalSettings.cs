@@ -0,0 +1,14 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class HybridRetrievalSettings
+{
+    public string? Strategy { get; set; }
+    public bool Rerank { get; set; }
+    public int RerankCandidates { get; set; }
+    public int RrfK { get; set; }
+    public double Bm25K1 { get; set; }
+    public double Bm25B { get; set; }
+    public double Bm25MinScore { get; set; }
+    public string? KeywordIndexPath { get; set; }
+    public int MaxPartitions { get; set; }
+}
@@ -0,0 +1,10 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class PromptTemplate
+{
+    public string? Id { get; set; }
+    public string? Name { get; set; }
+    public string? Description { get; set; }
+    public string? Template { get; set; }
+    public DateTimeOffset UpdatedUtc { get; set; }
+}
@@ -0,0 +1,7 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class PromptTemplateSettings
+{
+    public string? FilePath { get; set; }
+    public string? DefaultTemplateId { get; set; }
+}
@@ -7,4 +7,11 @@ public sealed class RagSettings
     public int Limit { get; set; }
     public int MaxTokens { get; set; }
     public float Temperature { get; set; }
+    public int HistoryMaxTurns { get; set; }
+    public int HistoryMaxTokens { get; set; }
+    public int SourcesMaxTokens { get; set; }
+    public int MaxLimit { get; set; }
+    public int MaxResponseTokens { get; set; }
+    public bool ExpandQuery { get; set; }
+    public int ExpansionCount { get; set; }
 }
\ No newline at end of file
@@ -0,0 +1,14 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+internal sealed class RankedChunk
+{
+    public int Rank { get; set; }
+    public string? Index { get; set; }
+    public string? DocumentId { get; set; }
+    public string? SourceName { get; set; }
+    public int PartitionNumber { get; set; }
+    public int SectionNumber { get; set; }
+    public double Relevance { get; set; }
+    public string? Text { get; set; }
+    public RetrievalScores? Scores { get; set; }
+}
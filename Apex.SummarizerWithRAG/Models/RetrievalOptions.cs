@@ -0,0 +1,12 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class RetrievalOptions
+{
+    public int Limit { get; set; }
+    public double MinRelevance { get; set; }
+    public int MaxTokens { get; set; }
+    public float Temperature { get; set; }
+    public string Strategy { get; set; } = "vector";
+    public bool Rerank { get; set; }
+    public bool ExpandQuery { get; set; }
+}
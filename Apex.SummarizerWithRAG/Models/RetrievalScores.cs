@@ -0,0 +1,12 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class RetrievalScores
+{
+    public double? Vector { get; set; }
+    public int? VectorRank { get; set; }
+    public double? Keyword { get; set; }
+    public int? KeywordRank { get; set; }
+    public double? Fused { get; set; }
+    public int? RerankRank { get; set; }
+    public int? QueryHits { get; set; }
+}
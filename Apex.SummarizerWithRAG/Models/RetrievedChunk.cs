@@ -0,0 +1,17 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class RetrievedChunk
+{
+    public string? Index { get; set; }
+    public string? DocumentId { get; set; }
+    public string? SourceName { get; set; }
+    public string? SourceContentType { get; set; }
+    public string? SourceUrl { get; set; }
+    public string? Link { get; set; }
+    public string? Collection { get; set; }
+    public int PartitionNumber { get; set; }
+    public int SectionNumber { get; set; }
+    public string? Text { get; set; }
+    public double Relevance { get; set; }
+    public RetrievalScores Scores { get; set; } = new();
+}
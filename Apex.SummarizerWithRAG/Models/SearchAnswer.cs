@@ -0,0 +1,16 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+internal sealed class SearchAnswer
+{
+    public string? Question { get; set; }
+    public string? StandaloneQuery { get; set; }
+    public string[] SubQueries { get; set; } = [];
+    public string? Answer { get; set; }
+    public string? Model { get; set; }
+    public string? TemplateId { get; set; }
+    public string? TemplateName { get; set; }
+    public SearchCitation[] Citations { get; set; } = [];
+    public RetrievalOptions? Retrieval { get; set; }
+    public GroundingCheck? Grounding { get; set; }
+    public ClaimCheck[] Claims { get; set; } = [];
+}
@@ -0,0 +1,12 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+internal sealed class SearchCitation
+{
+    public string? Index { get; set; }
+    public string? DocumentId { get; set; }
+    public string? SourceName { get; set; }
+    public string? SourceContentType { get; set; }
+    public string? SourceUrl { get; set; }
+    public string? Link { get; set; }
+    public SearchCitationPartition[] Partitions { get; set; } = [];
+}
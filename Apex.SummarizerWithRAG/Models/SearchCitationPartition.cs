@@ -0,0 +1,11 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+internal sealed class SearchCitationPartition
+{
+    public int PartitionNumber { get; set; }
+    public int SectionNumber { get; set; }
+    public double Relevance { get; set; }
+    public string? Text { get; set; }
+    public int Marker { get; set; }
+    public RetrievalScores? Scores { get; set; }
+}
@@ -0,0 +1,23 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class SearchRequest
+{
+    public string? Query { get; set; }
+    public string? Model { get; set; }
+    public string? Collection { get; set; }
+    public string? TemplateId { get; set; }
+    public string? Language { get; set; }
+    public List<string> Collections { get; set; } = [];
+    public List<string> DocumentIds { get; set; } = [];
+    public List<ChatTurn> History { get; set; } = [];
+    public int? Limit { get; set; }
+    public double? MinRelevance { get; set; }
+    public int? MaxTokens { get; set; }
+    public float? Temperature { get; set; }
+    public string? Strategy { get; set; }
+    public bool? Rerank { get; set; }
+    public bool? ExpandQuery { get; set; }
+    public bool? RefuseUngrounded { get; set; }
+    public bool? VerifyClaims { get; set; }
+    public bool? JudgeClaims { get; set; }
+}
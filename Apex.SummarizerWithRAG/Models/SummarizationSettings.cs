@@ -0,0 +1,7 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class SummarizationSettings
+{
+    public int BatchMaxTokens { get; set; }
+    public int PartialMaxTokens { get; set; }
+}
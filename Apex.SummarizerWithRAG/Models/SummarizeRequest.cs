@@ -0,0 +1,9 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class SummarizeRequest
+{
+    public string? Index { get; set; }
+    public string? Model { get; set; }
+    public string? Style { get; set; }
+    public string? Length { get; set; }
+}
@@ -0,0 +1,9 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class SummaryProgress
+{
+    public string? Stage { get; set; }
+    public string? Document { get; set; }
+    public int Completed { get; set; }
+    public int Total { get; set; }
+}
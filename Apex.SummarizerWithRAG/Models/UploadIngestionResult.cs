@@ -6,4 +6,5 @@ internal sealed class UploadIngestionResult
     public string? FileName { get; set; }
     public string? DocumentId { get; set; }
     public string? Index { get; set; }
+    public string? Collection { get; set; }
 }
\ No newline at end of file
@@ -0,0 +1,9 @@
+namespace Apex.SummarizerWithRAG.Models;
+
+public sealed class UploadSettings
+{
+    public string? TempDirectory { get; set; }
+    public int ChunkSizeBytes { get; set; }
+    public long MaxFileSizeBytes { get; set; }
+    public int SessionTtlHours { get; set; }
+}
@@ -43,6 +43,12 @@ Log.Logger = new LoggerConfiguration()
 
 builder.Services.Configure<RagSettings>(builder.Configuration.GetSection("Rag"));
 builder.Services.Configure<TextPartitioningSettings>(builder.Configuration.GetSection("TextPartitioning"));
+builder.Services.Configure<UploadSettings>(builder.Configuration.GetSection("Uploads"));
+builder.Services.Configure<FeedbackSettings>(builder.Configuration.GetSection("Feedback"));
+builder.Services.Configure<SummarizationSettings>(builder.Configuration.GetSection("Summarization"));
+builder.Services.Configure<PromptTemplateSettings>(builder.Configuration.GetSection("PromptTemplates"));
+builder.Services.Configure<GroundingSettings>(builder.Configuration.GetSection("Grounding"));
+builder.Services.Configure<HybridRetrievalSettings>(builder.Configuration.GetSection("HybridRetrieval"));
 
 var ollamaEndpoint = builder.Configuration["Ollama:Endpoint"];
 var timeoutSeconds = builder.Configuration.GetValue<int>("Ollama:TimeoutSeconds");
@@ -131,6 +137,17 @@ builder.Services.AddKernelMemory(km =>
 });
 
 builder.Services.AddScoped<IImportingService, ImportingService>();
+builder.Services.AddScoped<IQueryRewritingService, QueryRewritingService>();
+builder.Services.AddScoped<IChunkedUploadService, ChunkedUploadService>();
+builder.Services.AddScoped<IFeedbackService, FeedbackService>();
+builder.Services.AddScoped<IDocumentSummaryService, DocumentSummaryService>();
+builder.Services.AddScoped<IPromptTemplateService, PromptTemplateService>();
+builder.Services.AddScoped<IGroundingService, GroundingService>();
+builder.Services.AddScoped<IKeywordIndexService, KeywordIndexService>();
+builder.Services.AddScoped<IHybridRetrievalService, HybridRetrievalService>();
+builder.Services.AddSingleton<KeywordIndexingService>();
+builder.Services.AddSingleton<IKeywordIndexingService>(sp => sp.GetRequiredService<KeywordIndexingService>());
+builder.Services.AddHostedService(sp => sp.GetRequiredService<KeywordIndexingService>());
 
 builder.Services.AddControllers();
 
@@ -0,0 +1,231 @@
+﻿using System.Security.Cryptography;
+using System.Text.Json;
+using Apex.SummarizerWithRAG.Interfaces;
+using Apex.SummarizerWithRAG.Models;
+using Microsoft.Extensions.Options;
+using Serilog;
+
+namespace Apex.SummarizerWithRAG.Services;
+
+/// <summary>
+/// Resumable uploads: chunks are stored under a per-upload directory (with a session.json manifest),
+/// so an upload survives client reloads and server restarts until it is completed, deleted or expires.
+/// </summary>
+public class ChunkedUploadService(IImportingService importingService, IOptions<UploadSettings> uploadSettings) : IChunkedUploadService
+{
+    private readonly UploadSettings _uploadSettings = uploadSettings.Value;
+
+    private const string SessionFileName = "session.json";
+    private const string ChunkExtension = ".part";
+
+    public async Task<ChunkedUploadSession> CreateSessionAsync(string fileName, long size, string collection, CancellationToken cancellationToken = default)
+    {
+        fileName = Path.GetFileName(fileName ?? string.Empty);
+        if (string.IsNullOrWhiteSpace(fileName)) throw new ArgumentException("fileName is required.");
+        if (size <= 0) throw new ArgumentException("size must be positive.");
+        if (size > MaxFileSize) throw new ArgumentException($"File is too large (max {MaxFileSize / (1024 * 1024)} MB).");
+
+        RemoveExpiredSessions();
+
+        var chunkSize = ChunkSize;
+        var session = new ChunkedUploadSession
+        {
+            UploadId = Guid.NewGuid().ToString("N"),
+            FileName = fileName,
+            Size = size,
+            ChunkSize = chunkSize,
+            TotalChunks = (int)((size + chunkSize - 1) / chunkSize),
+            Collection = string.IsNullOrWhiteSpace(collection) ? "Public" : collection,
+            CreatedUtc = DateTimeOffset.UtcNow
+        };
+
+        var directory = GetSessionDirectory(session.UploadId)!;
+        Directory.CreateDirectory(directory);
+        await using (var manifest = File.Create(Path.Combine(directory, SessionFileName)))
+        {
+            await JsonSerializer.SerializeAsync(manifest, session, cancellationToken: cancellationToken);
+        }
+
+        Log.Information("UPLOAD Session created uploadId={UploadId} fileName='{FileName}' size={Size} chunks={Chunks}", session.UploadId, fileName, size, session.TotalChunks);
+        return session;
+    }
+
+    public async Task<ChunkedUploadSession?> GetSessionAsync(string uploadId, CancellationToken cancellationToken = default)
+    {
+        var directory = GetSessionDirectory(uploadId);
+        var manifestPath = directory is null ? null : Path.Combine(directory, SessionFileName);
+        if (manifestPath is null || !File.Exists(manifestPath))
+        {
+            return null;
+        }
+
+        await using var manifest = File.OpenRead(manifestPath);
+        var session = await JsonSerializer.DeserializeAsync<ChunkedUploadSession>(manifest, cancellationToken: cancellationToken);
+        if (session is null)
+        {
+            return null;
+        }
+
+        session.ReceivedChunks = Directory.EnumerateFiles(directory!, "*" + ChunkExtension)
+            .Select(path => int.TryParse(Path.GetFileNameWithoutExtension(path), out var n) ? n : -1)
+            .Where(n => n >= 0 && n < session.TotalChunks)
+            .Order()
+            .ToArray();
+        return session;
+    }
+
+    /// <summary>
+    /// Stores one chunk after verifying its SHA-256 (hex). Returns false when the upload does not exist.
+    /// A chunk is written to a temp file first so an interrupted request never leaves a partial chunk behind.
+    /// </summary>
+    public async Task<bool> SaveChunkAsync(string uploadId, int chunkNumber, Stream content, string checksum, CancellationToken cancellationToken = default)
+    {
+        var session = await GetSessionAsync(uploadId, cancellationToken);
+        if (session is null)
+        {
+            return false;
+        }
+
+        if (chunkNumber < 0 || chunkNumber >= session.TotalChunks)
+        {
+            throw new ArgumentOutOfRangeException(nameof(chunkNumber), $"Chunk {chunkNumber} is outside 0..{session.TotalChunks - 1}.");
+        }
+
+        var expectedLength = chunkNumber == session.TotalChunks - 1
+            ? session.Size - (long)chunkNumber * session.ChunkSize
+            : session.ChunkSize;
+
+        var directory = GetSessionDirectory(uploadId)!;
+        var chunkPath = Path.Combine(directory, $"{chunkNumber:D6}{ChunkExtension}");
+        var tempPath = chunkPath + ".tmp";
+
+        try
+        {
+            string actual;
+            long length;
+            await using (var file = File.Create(tempPath))
+            {
+                using var sha = SHA256.Create();
+                await using (var hashing = new CryptoStream(file, sha, CryptoStreamMode.Write, leaveOpen: true))
+                {
+                    await content.CopyToAsync(hashing, cancellationToken);
+                }
+                actual = Convert.ToHexString(sha.Hash!);
+                length = file.Length;
+            }
+
+            if (length != expectedLength)
+            {
+                throw new InvalidDataException($"Chunk {chunkNumber} has {length} bytes, expected {expectedLength}.");
+            }
+
+            if (!string.Equals(actual, checksum?.Trim(), StringComparison.OrdinalIgnoreCase))
+            {
+                throw new InvalidDataException($"Checksum mismatch for chunk {chunkNumber}.");
+            }
+
+            File.Move(tempPath, chunkPath, overwrite: true);
+            Log.Debug("UPLOAD Chunk stored uploadId={UploadId} chunk={Chunk}/{Total}", uploadId, chunkNumber + 1, session.TotalChunks);
+            return true;
+        }
+        finally
+        {
+            if (File.Exists(tempPath))
+            {
+                File.Delete(tempPath);
+            }
+        }
+    }
+
+    /// <summary>
+    /// Assembles all chunks in order and imports the result. Returns the document id, or null when the upload does not exist.
+    /// The session is removed after a successful import.
+    /// </summary>
+    public async Task<string?> CompleteAsync(string uploadId, CancellationToken cancellationToken = default)
+    {
+        var session = await GetSessionAsync(uploadId, cancellationToken);
+        if (session is null)
+        {
+            return null;
+        }
+
+        if (session.ReceivedChunks.Length != session.TotalChunks)
+        {
+            throw new InvalidOperationException($"Upload incomplete: {session.ReceivedChunks.Length}/{session.TotalChunks} chunks received.");
+        }
+
+        var directory = GetSessionDirectory(uploadId)!;
+        var assembledPath = Path.Combine(directory, "assembled");
+
+        await using (var assembled = File.Create(assembledPath))
+        {
+            for (var n = 0; n < session.TotalChunks; n++)
+            {
+                await using var chunk = File.OpenRead(Path.Combine(directory, $"{n:D6}{ChunkExtension}"));
+                await chunk.CopyToAsync(assembled, cancellationToken);
+            }
+
+            if (assembled.Length != session.Size)
+            {
+                throw new InvalidDataException($"Assembled file has {assembled.Length} bytes, expected {session.Size}.");
+            }
+        }
+
+        string documentId;
+        await using (var stream = File.OpenRead(assembledPath))
+        {
+            documentId = await importingService.ImportAsync(stream, session.FileName, session.Collection);
+        }
+
+        Log.Information("UPLOAD Session completed uploadId={UploadId} fileName='{FileName}' docId={DocumentId}", uploadId, session.FileName, documentId);
+        DeleteSession(uploadId);
+        return documentId;
+    }
+
+    public bool DeleteSession(string uploadId)
+    {
+        var directory = GetSessionDirectory(uploadId);
+        if (directory is null || !Directory.Exists(directory))
+        {
+            return false;
+        }
+
+        Directory.Delete(directory, recursive: true);
+        return true;
+    }
+
+    private void RemoveExpiredSessions()
+    {
+        if (!Directory.Exists(RootDirectory)) return;
+
+        var cutoff = DateTime.UtcNow.AddHours(-Math.Max(1, _uploadSettings.SessionTtlHours));
+        foreach (var directory in Directory.EnumerateDirectories(RootDirectory))
+        {
+            try
+            {
+                if (Directory.GetLastWriteTimeUtc(directory) < cutoff)
+                {
+                    Directory.Delete(directory, recursive: true);
+                    Log.Debug("UPLOAD Removed expired session directory {Directory}", directory);
+                }
+            }
+            catch (Exception ex)
+            {
+                Log.Warning("UPLOAD Failed to remove expired session {Directory}: {Message}", directory, ex.Message);
+            }
+        }
+    }
+
+    // Upload ids are server-generated GUIDs; anything else never maps to a directory (no path traversal)
+    private string? GetSessionDirectory(string uploadId) =>
+        Guid.TryParseExact(uploadId, "N", out _) ? Path.Combine(RootDirectory, uploadId) : null;
+
+    private string RootDirectory =>
+        string.IsNullOrWhiteSpace(_uploadSettings.TempDirectory)
+            ? Path.Combine(Path.GetTempPath(), "apex-uploads")
+            : _uploadSettings.TempDirectory;
+
+    private int ChunkSize => _uploadSettings.ChunkSizeBytes > 0 ? _uploadSettings.ChunkSizeBytes : 4 * 1024 * 1024;
+
+    private long MaxFileSize => _uploadSettings.MaxFileSizeBytes > 0 ? _uploadSettings.MaxFileSizeBytes : 100L * 1024 * 1024;
+}
@@ -0,0 +1,326 @@
+﻿using System.Text;
+using Apex.SummarizerWithRAG.Interfaces;
+using Apex.SummarizerWithRAG.Models;
+using Microsoft.Extensions.Options;
+using Microsoft.KernelMemory;
+using Microsoft.SemanticKernel;
+using Microsoft.SemanticKernel.Connectors.Ollama;
+using Serilog;
+
+namespace Apex.SummarizerWithRAG.Services;
+
+/// <summary>
+/// Map-reduce summaries of whole indexed documents: consecutive partitions are batched and summarized one
+/// batch at a time (map), then the partial summaries are combined into the final summary or comparison (reduce, streamed).
+/// </summary>
+public class DocumentSummaryService(IKernelMemory memory, Kernel kernel, IOptions<SummarizationSettings> summarizationSettings) : IDocumentSummaryService
+{
+    private const int MaxPartitions = 5000;
+    private const int CompareMaxTokens = 2048;
+
+    private readonly SummarizationSettings _summarizationSettings = summarizationSettings.Value;
+
+    private int BatchBudget => _summarizationSettings.BatchMaxTokens > 0 ? _summarizationSettings.BatchMaxTokens : 3000;
+
+    private static readonly Dictionary<string, string> Styles = new(StringComparer.OrdinalIgnoreCase)
+    {
+        ["executive"] = "an executive summary in short paragraphs: the purpose of the document, its key findings and any decisions, risks or next steps",
+        ["bullet"] = "a Markdown bullet list of the key points, one point per bullet, most important first",
+        ["detailed"] = "a detailed summary that follows the structure of the document, with a short Markdown heading per main topic"
+    };
+
+    private static readonly Dictionary<string, (int Words, int MaxTokens)> Lengths = new(StringComparer.OrdinalIgnoreCase)
+    {
+        ["short"] = (150, 512),
+        ["medium"] = (350, 1024),
+        ["long"] = (800, 2048)
+    };
+
+    private const string MapPrompt = """
+        Below is part {{$part}} of {{$parts}} of the document "{{$name}}".
+        Summarize this part: keep the key facts, figures, names, decisions and conclusions.
+        Use only the text below. Do not add an introduction or comments about the text.
+        -----------------
+        {{$text}}
+        -----------------
+
+        Summary of part {{$part}}:
+        """;
+
+    private const string ReducePrompt = """
+        Below are consecutive sections of the document "{{$name}}" (or summaries of them), each starting with its number in square brackets.
+        Write {{$style}}. Aim for about {{$words}} words.
+        After each sentence, cite the section(s) it is based on with their numbers, e.g. [1] or [2][3]. Only cite numbers that appear below.
+        Use only this information.
+        -----------------
+        {{$sections}}
+        -----------------
+
+        Summary of "{{$name}}":
+        """;
+
+    private const string ComparePrompt = """
+        Below are consecutive sections of {{$count}} documents (or summaries of them), each section starting with its number in square brackets.
+        -----------------
+        {{$documents}}
+        -----------------
+
+        Compare the documents. Write a Markdown table with the columns: | Topic | Finding | {{$columns}} |
+        Finding is one of: Agreement, Difference, Unique. Each document column states what that document says about the topic,
+        or "-" when the document does not cover it. List the agreements first, then the differences, then the items unique to one document.
+        In every cell, cite the sections the statement is based on with their numbers, e.g. [1] or [2][3]. Only cite numbers that appear above.
+        After the table, write one or two sentences on the most important difference.
+        Use only this information.
+        """;
+
+    private sealed record Section(DocumentPartition Anchor, string Text);
+
+    /// <summary>
+    /// Loads all partitions of a document in document order; null when the document is not in the index.
+    /// </summary>
+    public async Task<DocumentContent?> LoadDocumentAsync(string documentId, string index, CancellationToken cancellationToken = default)
+    {
+        // KM has no "list partitions" API; a blank, unthresholded search scoped to the document returns all of them
+        var sr = await memory.SearchAsync(" ", index: index, filter: MemoryFilters.ByDocument(documentId), minRelevance: 0, limit: MaxPartitions, cancellationToken: cancellationToken);
+        var results = (sr?.Results ?? []).Where(r => string.Equals(r.DocumentId, documentId, StringComparison.Ordinal)).ToList();
+        if (results.Count == 0)
+        {
+            return null;
+        }
+
+        return new DocumentContent
+        {
+            Index = index,
+            DocumentId = documentId,
+            SourceName = results[0].SourceName,
+            Partitions = results
+                .SelectMany(r => r.Partitions ?? [])
+                .GroupBy(p => p.PartitionNumber)
+                .Select(g => g.First())
+                .OrderBy(p => p.PartitionNumber)
+                .Select(p => new DocumentPartition
+                {
+                    PartitionNumber = p.PartitionNumber,
+                    SectionNumber = p.SectionNumber,
+                    Text = p.Text
+                })
+                .ToArray()
+        };
+    }
+
+    /// <summary>
+    /// Summarizes the document in the requested style ("executive", "bullet", "detailed") and length ("short", "medium", "long").
+    /// Reports map progress through <paramref name="onProgress"/> and streams the final summary through <paramref name="onToken"/>.
+    /// The summary cites its sections as [n]; <see cref="DocumentSummary.Sections"/>[n-1] is the first partition of section n.
+    /// </summary>
+    public async Task<DocumentSummary> SummarizeAsync(DocumentContent document, SummarizeRequest request, Func<SummaryProgress, Task> onProgress, Func<string, Task> onToken, CancellationToken cancellationToken = default)
+    {
+        var style = request.Style is { } s && Styles.ContainsKey(s) ? s.ToLowerInvariant() : "executive";
+        var length = request.Length is { } l && Lengths.ContainsKey(l) ? l.ToLowerInvariant() : "medium";
+        var name = DisplayName(document);
+
+        var sections = await CondenseAsync(document, BatchBudget, request.Model, onProgress, cancellationToken);
+
+        Log.Information("SUMMARY docId={DocumentId} source={Source} sections={Sections} style={Style} length={Length} model={Model}",
+            document.DocumentId, name, sections.Count, style, length, string.IsNullOrWhiteSpace(request.Model) ? "default" : request.Model);
+
+        // Reduce: the final summary, streamed
+        await onProgress(new SummaryProgress { Stage = "reduce", Completed = 0, Total = 1 });
+
+        var (words, maxTokens) = Lengths[length];
+        var arguments = new KernelArguments(CreateExecutionSettings(request.Model, maxTokens, 0.2f))
+        {
+            ["name"] = name,
+            ["style"] = Styles[style],
+            ["words"] = words.ToString(),
+            ["sections"] = string.Join("\n\n", sections.Select((x, i) => $"[{i + 1}] {x.Text}"))
+        };
+
+        var summary = new StringBuilder();
+        await foreach (var chunk in kernel.InvokePromptStreamingAsync<string>(ReducePrompt, arguments, cancellationToken: cancellationToken))
+        {
+            if (string.IsNullOrEmpty(chunk)) continue;
+
+            summary.Append(chunk);
+            await onToken(chunk);
+        }
+
+        return new DocumentSummary
+        {
+            Summary = summary.ToString(),
+            Style = style,
+            Length = length,
+            PartitionCount = document.Partitions.Length,
+            Sections = sections.Select(x => x.Anchor).ToArray()
+        };
+    }
+
+    /// <summary>
+    /// Compares documents as a Markdown table of agreements, differences and unique items (streamed through <paramref name="onToken"/>).
+    /// Each document is condensed to its share of one batch; sections are numbered across all documents,
+    /// starting at <see cref="ComparedDocument.FirstMarker"/> for each one.
+    /// </summary>
+    public async Task<DocumentComparison> CompareAsync(IReadOnlyList<DocumentContent> documents, string? model, Func<SummaryProgress, Task> onProgress, Func<string, Task> onToken, CancellationToken cancellationToken = default)
+    {
+        var perDocument = Math.Max(BatchBudget / Math.Max(1, documents.Count), 256);
+
+        var compared = new List<ComparedDocument>();
+        var blocks = new List<string>();
+        var marker = 1;
+
+        foreach (var document in documents)
+        {
+            var sections = await CondenseAsync(document, perDocument, model, onProgress, cancellationToken);
+            var name = DisplayName(document);
+
+            compared.Add(new ComparedDocument
+            {
+                Index = document.Index,
+                DocumentId = document.DocumentId,
+                SourceName = document.SourceName,
+                FirstMarker = marker,
+                Sections = sections.Select(x => x.Anchor).ToArray()
+            });
+            blocks.Add($"Document \"{name}\":\n" + string.Join("\n\n", sections.Select((x, i) => $"[{marker + i}] {x.Text}")));
+            marker += sections.Count;
+        }
+
+        Log.Information("COMPARE docs=[{Documents}] sections={Sections} model={Model}",
+            string.Join(", ", documents.Select(d => d.DocumentId)), marker - 1, string.IsNullOrWhiteSpace(model) ? "default" : model);
+
+        await onProgress(new SummaryProgress { Stage = "reduce", Completed = 0, Total = 1 });
+
+        var arguments = new KernelArguments(CreateExecutionSettings(model, CompareMaxTokens, 0.1f))
+        {
+            ["count"] = documents.Count.ToString(),
+            ["columns"] = string.Join(" | ", documents.Select(d => DisplayName(d).Replace('|', '/'))),
+            ["documents"] = string.Join("\n\n", blocks)
+        };
+
+        var table = new StringBuilder();
+        await foreach (var chunk in kernel.InvokePromptStreamingAsync<string>(ComparePrompt, arguments, cancellationToken: cancellationToken))
+        {
+            if (string.IsNullOrEmpty(chunk)) continue;
+
+            table.Append(chunk);
+            await onToken(chunk);
+        }
+
+        return new DocumentComparison
+        {
+            Summary = table.ToString(),
+            Documents = compared.ToArray()
+        };
+    }
+
+    // Batch the document's text and summarize batches (then groups of partial summaries)
+    // until the sections fit `budget` tokens. A single batch that already fits is returned verbatim.
+    private async Task<List<Section>> CondenseAsync(DocumentContent document, int budget, string? model, Func<SummaryProgress, Task> onProgress, CancellationToken cancellationToken)
+    {
+        var name = DisplayName(document);
+
+        var partitions = document.Partitions
+            .Where(p => !string.IsNullOrWhiteSpace(p.Text))
+            .Select(p => new Section(p, p.Text!.Trim()))
+            .ToList();
+        if (partitions.Count == 0)
+        {
+            throw new InvalidOperationException($"Document '{name}' has no text to summarize.");
+        }
+
+        // Map: one partial summary per batch
+        var sections = Batch(partitions, BatchBudget);
+        if (sections.Count > 1 || Cost(sections) > budget)
+        {
+            sections = await SummarizeSectionsAsync(sections, name, model, "map", onProgress, cancellationToken);
+        }
+
+        // Collapse: while the partials still exceed the budget, summarize groups of them
+        while (sections.Count > 1 && Cost(sections) > budget)
+        {
+            var groups = Batch(sections, BatchBudget);
+            if (groups.Count == sections.Count) break; // every partial fills a batch on its own
+
+            sections = await SummarizeSectionsAsync(groups, name, model, "collapse", onProgress, cancellationToken);
+        }
+
+        Log.Debug("SUMMARY condensed docId={DocumentId} partitions={Partitions} sections={Sections}", document.DocumentId, partitions.Count, sections.Count);
+        return sections;
+    }
+
+    private static int Cost(IEnumerable<Section> sections) => sections.Sum(x => x.Text.Length / 4);
+
+    private static string DisplayName(DocumentContent document) => document.SourceName ?? document.DocumentId ?? "document";
+
+    private async Task<List<Section>> SummarizeSectionsAsync(List<Section> sections, string name, string? model, string stage, Func<SummaryProgress, Task> onProgress, CancellationToken cancellationToken)
+    {
+        var partialTokens = _summarizationSettings.PartialMaxTokens > 0 ? _summarizationSettings.PartialMaxTokens : 400;
+        var summaries = new List<Section>(sections.Count);
+
+        for (var i = 0; i < sections.Count; i++)
+        {
+            await onProgress(new SummaryProgress { Stage = stage, Document = name, Completed = i, Total = sections.Count });
+
+            var partial = await kernel.InvokePromptAsync<string>(MapPrompt, new KernelArguments(CreateExecutionSettings(model, partialTokens, 0))
+            {
+                ["name"] = name,
+                ["part"] = (i + 1).ToString(),
+                ["parts"] = sections.Count.ToString(),
+                ["text"] = sections[i].Text
+            }, cancellationToken: cancellationToken);
+
+            Log.Debug("SUMMARY {Stage} {Part}/{Parts} chunk#{Partition}: {Length} chars", stage, i + 1, sections.Count, sections[i].Anchor.PartitionNumber, partial?.Length ?? 0);
+            summaries.Add(sections[i] with { Text = string.IsNullOrWhiteSpace(partial) ? "(nothing to summarize)" : partial.Trim() });
+        }
+
+        await onProgress(new SummaryProgress { Stage = stage, Document = name, Completed = sections.Count, Total = sections.Count });
+        return summaries;
+    }
+
+    // Group consecutive sections into batches of at most `budget` tokens (~4 chars/token); a batch keeps its first anchor.
+    // An oversized section is cut to the budget so a single prompt never exceeds it.
+    private static List<Section> Batch(IReadOnlyList<Section> sections, int budget)
+    {
+        var batches = new List<Section>();
+        var text = new StringBuilder();
+        DocumentPartition? anchor = null;
+
+        foreach (var section in sections)
+        {
+            var piece = section.Text.Length / 4 > budget ? section.Text[..(budget * 4)] : section.Text;
+            if (anchor is not null && (text.Length + piece.Length) / 4 > budget)
+            {
+                batches.Add(new Section(anchor, text.ToString()));
+                text.Clear();
+                anchor = null;
+            }
+
+            anchor ??= section.Anchor;
+            if (text.Length > 0) text.Append("\n\n");
+            text.Append(piece);
+        }
+
+        if (anchor is not null)
+        {
+            batches.Add(new Section(anchor, text.ToString()));
+        }
+
+        return batches;
+    }
+
+    private static OllamaPromptExecutionSettings CreateExecutionSettings(string? model, int maxTokens, float temperature)
+    {
+        var executionSettings = new OllamaPromptExecutionSettings
+        {
+            NumPredict = maxTokens,
+            Temperature = temperature
+        };
+
+        if (!string.IsNullOrWhiteSpace(model))
+        {
+            executionSettings.ModelId = model;
+        }
+
+        return executionSettings;
+    }
+}
@@ -0,0 +1,101 @@
+﻿using System.Text.Json;
+using Apex.SummarizerWithRAG.Interfaces;
+using Apex.SummarizerWithRAG.Models;
+using Microsoft.Extensions.Options;
+using Serilog;
+
+namespace Apex.SummarizerWithRAG.Services;
+
+/// <summary>
+/// Stores answer feedback in a local JSON Lines file. Records are append-only;
+/// re-rating an answer appends a new version with the same id and the latest one wins.
+/// </summary>
+public class FeedbackService(IOptions<FeedbackSettings> feedbackSettings) : IFeedbackService
+{
+    private static readonly SemaphoreSlim FileLock = new(1, 1);
+    private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+    private static readonly string[] Ratings = ["up", "down"];
+
+    private readonly FeedbackSettings _feedbackSettings = feedbackSettings.Value;
+
+    public async Task<AnswerFeedback> SaveAsync(AnswerFeedback feedback, CancellationToken cancellationToken = default)
+    {
+        feedback.Rating = feedback.Rating?.Trim().ToLowerInvariant();
+        if (!Ratings.Contains(feedback.Rating))
+        {
+            throw new ArgumentException("rating must be 'up' or 'down'.");
+        }
+
+        feedback.Id = string.IsNullOrWhiteSpace(feedback.Id) ? Guid.NewGuid().ToString("N") : feedback.Id.Trim();
+        feedback.CreatedUtc = DateTimeOffset.UtcNow;
+        feedback.Reasons = feedback.Reasons
+            .Where(r => !string.IsNullOrWhiteSpace(r))
+            .Select(r => r.Trim())
+            .Distinct(StringComparer.OrdinalIgnoreCase)
+            .ToList();
+
+        var line = JsonSerializer.Serialize(feedback, JsonOptions) + Environment.NewLine;
+
+        await FileLock.WaitAsync(cancellationToken);
+        try
+        {
+            Directory.CreateDirectory(Path.GetDirectoryName(FilePath)!);
+            await File.AppendAllTextAsync(FilePath, line, cancellationToken);
+        }
+        finally
+        {
+            FileLock.Release();
+        }
+
+        Log.Information("FEEDBACK id={Id} rating={Rating} model={Model} reasons=[{Reasons}]", feedback.Id, feedback.Rating, feedback.Model, string.Join(", ", feedback.Reasons));
+        return feedback;
+    }
+
+    public async Task<IReadOnlyList<AnswerFeedback>> ListAsync(string? model = null, string? documentId = null, CancellationToken cancellationToken = default)
+    {
+        if (!File.Exists(FilePath))
+        {
+            return [];
+        }
+
+        string[] lines;
+        await FileLock.WaitAsync(cancellationToken);
+        try
+        {
+            lines = await File.ReadAllLinesAsync(FilePath, cancellationToken);
+        }
+        finally
+        {
+            FileLock.Release();
+        }
+
+        var latest = new Dictionary<string, AnswerFeedback>(StringComparer.Ordinal);
+        foreach (var line in lines)
+        {
+            if (string.IsNullOrWhiteSpace(line)) continue;
+            try
+            {
+                var item = JsonSerializer.Deserialize<AnswerFeedback>(line, JsonOptions);
+                if (item?.Id is not null)
+                {
+                    latest[item.Id] = item;
+                }
+            }
+            catch (JsonException ex)
+            {
+                Log.Warning("FEEDBACK Skipping unreadable line: {Message}", ex.Message);
+            }
+        }
+
+        return latest.Values
+            .Where(f => string.IsNullOrWhiteSpace(model) || string.Equals(f.Model, model, StringComparison.OrdinalIgnoreCase))
+            .Where(f => string.IsNullOrWhiteSpace(documentId) || f.Chunks.Any(c => string.Equals(c.DocumentId, documentId, StringComparison.Ordinal)))
+            .OrderByDescending(f => f.CreatedUtc)
+            .ToList();
+    }
+
+    private string FilePath =>
+        string.IsNullOrWhiteSpace(_feedbackSettings.FilePath)
+            ? Path.Combine(AppContext.BaseDirectory, "feedback.jsonl")
+            : _feedbackSettings.FilePath;
+}
@@ -0,0 +1,282 @@
+﻿using System.Globalization;
+using System.Text;
+using System.Text.RegularExpressions;
+using Apex.SummarizerWithRAG.Interfaces;
+using Apex.SummarizerWithRAG.Models;
+using Microsoft.Extensions.Options;
+using Microsoft.SemanticKernel;
+using Microsoft.SemanticKernel.Connectors.Ollama;
+using Serilog;
+
+namespace Apex.SummarizerWithRAG.Services;
+
+/// <summary>
+/// Scores how well an answer is supported by its sources (0..1): half from how far the cited chunks' relevance
+/// clears MinRelevance (query term coverage for keyword-only results), half from how many of the answer's terms occur in the chunks.
+/// Levels: "none" (no sources), "weak" (below WeakConfidence) or "grounded".
+/// Claim verification checks each answer sentence against its cited chunks, optionally asking the model to judge the ones that fail.
+/// </summary>
+public class GroundingService(Kernel kernel, IOptions<GroundingSettings> groundingSettings) : IGroundingService
+{
+    public const string RefusalAnswer = "I don't know. The documents do not contain enough relevant information to answer this question.";
+
+    private static readonly HashSet<string> StopWords = new(StringComparer.OrdinalIgnoreCase)
+    {
+        "the", "and", "for", "are", "but", "not", "you", "all", "any", "can", "her", "was", "one", "our", "out", "has", "his",
+        "how", "its", "may", "who", "did", "does", "with", "this", "that", "from", "they", "them", "then", "than", "there",
+        "their", "these", "those", "have", "been", "were", "will", "would", "should", "could", "what", "when", "where",
+        "which", "while", "about", "into", "also", "only", "such", "some", "more", "most", "other", "each", "very", "your"
+    };
+
+    private static readonly Regex TermPattern = new(@"\p{L}[\p{L}\p{N}]*|\p{N}+(?:[.,]\p{N}+)*", RegexOptions.Compiled);
+    // ASCII digits and at most three, like the client's marker links: invented markers such as [99999999999] must not throw
+    private static readonly Regex CitationMarkerPattern = new(@"\[[0-9]{1,3}\]", RegexOptions.Compiled);
+    private static readonly Regex SentenceBreakPattern = new(@"(?<=[.!?](?:\[\d+\])*)\s+(?=\S)", RegexOptions.Compiled);
+    private static readonly Regex LinePrefixPattern = new(@"^\s*(?:#{1,6}\s+|>\s*|[-*+]\s+|\d+[.)]\s+)+", RegexOptions.Compiled);
+    private static readonly Regex MarkdownLinkPattern = new(@"!?\[([^\]]*)\]\([^)]*\)", RegexOptions.Compiled);
+    private static readonly Regex EmphasisPattern = new(@"\*\*|__|`|(?<![\p{L}\p{N}])\*|\*(?![\p{L}\p{N}])", RegexOptions.Compiled);
+
+    // A sentence needs this many content terms to count as a claim ("See [2]." or "Yes." are not checked)
+    private const int MinClaimTerms = 3;
+    private const int JudgeSourcesMaxChars = 6000;
+
+    private const string JudgePrompt = """
+        You check whether a statement is supported by source passages.
+        -----------------
+        {{$sources}}
+        -----------------
+
+        Statement: {{$claim}}
+
+        Reply with exactly one word: SUPPORTED if the passages state or directly imply the statement, otherwise UNSUPPORTED.
+        """;
+
+    private readonly GroundingSettings _groundingSettings = groundingSettings.Value;
+
+    /// <summary>
+    /// Retrieval-only score, known before generation: the best chunk counts 60%, the mean of the top three 40%.
+    /// Scored on the vector similarities; only when there are none (keyword retrieval) on the share of the query's terms
+    /// each keyword-only chunk contains. Every cited chunk counts as a source.
+    /// </summary>
+    public GroundingCheck CheckRetrieval(IReadOnlyCollection<double> relevances, IReadOnlyCollection<string?> keywordOnlySources, string? query, double minRelevance)
+    {
+        var sourceCount = relevances.Count + keywordOnlySources.Count;
+        if (sourceCount == 0)
+        {
+            return new GroundingCheck();
+        }
+
+        double[] margins;
+        if (relevances.Count > 0)
+        {
+            var strong = _groundingSettings.StrongRelevance > minRelevance ? _groundingSettings.StrongRelevance : Math.Min(1, minRelevance + 0.2);
+            // a MinRelevance of 1 leaves no band between it and "strong": clearing the threshold is then all there is
+            margins = relevances
+                .OrderByDescending(r => r)
+                .Select(r => strong > minRelevance
+                    ? Math.Clamp((r - minRelevance) / (strong - minRelevance), 0, 1)
+                    : r >= minRelevance ? 1 : 0)
+                .ToArray();
+        }
+        else
+        {
+            // BM25 scores have no fixed scale, so they say nothing about how well a chunk matches on their own
+            var queryTerms = Terms(query).Distinct().ToArray();
+            margins = keywordOnlySources
+                .Select(s => Coverage(queryTerms, Terms(s).ToHashSet()))
+                .OrderByDescending(m => m)
+                .ToArray();
+        }
+
+        var score = Math.Round(0.6 * margins[0] + 0.4 * margins.Take(3).Average(), 3);
+        return new GroundingCheck
+        {
+            Confidence = score,
+            RetrievalScore = score,
+            SourceCount = sourceCount,
+            Level = LevelOf(score, sourceCount)
+        };
+    }
+
+    public GroundingCheck CheckAnswer(GroundingCheck retrieval, string? answer, IEnumerable<string?> sources)
+    {
+        if (retrieval.SourceCount == 0)
+        {
+            return retrieval;
+        }
+
+        var answerTerms = Terms(answer).ToHashSet();
+        var sourceTerms = sources.SelectMany(Terms).ToHashSet();
+        var overlap = answerTerms.Count == 0 ? 0 : Math.Round((double)answerTerms.Count(sourceTerms.Contains) / answerTerms.Count, 3);
+        var confidence = Math.Round((retrieval.RetrievalScore + overlap) / 2, 3);
+
+        return new GroundingCheck
+        {
+            Confidence = confidence,
+            RetrievalScore = retrieval.RetrievalScore,
+            OverlapScore = overlap,
+            SourceCount = retrieval.SourceCount,
+            Level = LevelOf(confidence, retrieval.SourceCount),
+            Refused = retrieval.Refused
+        };
+    }
+
+    /// <summary>
+    /// True when refusing is on (per request, else the configured default) and retrieval alone scores below RefuseBelowConfidence.
+    /// </summary>
+    public bool ShouldRefuse(GroundingCheck retrieval, bool? refuseUngrounded) =>
+        (refuseUngrounded ?? _groundingSettings.RefuseUngrounded)
+        && (retrieval.SourceCount == 0 || retrieval.RetrievalScore < _groundingSettings.RefuseBelowConfidence);
+
+    /// <summary>
+    /// Checks every sentence of the answer against the sources it cites (all sources when it cites none): a sentence is
+    /// supported when at least ClaimSupportThreshold of its terms occur in them. With judging on (per request, else the
+    /// configured default), up to JudgeMaxClaims unsupported sentences are passed to the model for a second opinion.
+    /// Sources are keyed by citation marker; the returned Text is the sentence as rendered (markdown and markers removed).
+    /// </summary>
+    public async Task<ClaimCheck[]> VerifyClaimsAsync(string? answer, IReadOnlyDictionary<int, string> sources, string? model, bool? judge, CancellationToken cancellationToken = default)
+    {
+        if (string.IsNullOrWhiteSpace(answer) || sources.Count == 0)
+        {
+            return [];
+        }
+
+        var threshold = _groundingSettings.ClaimSupportThreshold > 0 ? _groundingSettings.ClaimSupportThreshold : 0.5;
+        var sourceTerms = sources.ToDictionary(s => s.Key, s => Terms(s.Value).ToHashSet());
+        var claims = new List<ClaimCheck>();
+
+        foreach (var sentence in Sentences(answer))
+        {
+            var terms = Terms(sentence).Distinct().ToArray();
+            if (terms.Count(t => !char.IsDigit(t[0])) < MinClaimTerms) continue;
+
+            var markers = CitationMarkerPattern.Matches(sentence)
+                .Select(m => int.Parse(m.Value.Trim('[', ']'), CultureInfo.InvariantCulture))
+                .Distinct()
+                .ToArray();
+            var cited = markers.Where(sourceTerms.ContainsKey).ToArray();
+
+            // cited sentences are checked against the union of their sources, uncited ones against the best single source
+            var (score, best) = cited.Length > 0
+                ? (Coverage(terms, cited.SelectMany(m => sourceTerms[m]).ToHashSet()), cited.MaxBy(m => Coverage(terms, sourceTerms[m])))
+                : sourceTerms.Select(s => (Score: Coverage(terms, s.Value), Marker: s.Key)).MaxBy(s => s.Score);
+
+            claims.Add(new ClaimCheck
+            {
+                Text = PlainText(sentence),
+                Supported = score >= threshold,
+                Score = Math.Round(score, 3),
+                Markers = markers,
+                BestMarker = best
+            });
+        }
+
+        if (judge ?? _groundingSettings.JudgeClaims)
+        {
+            var maxClaims = _groundingSettings.JudgeMaxClaims > 0 ? _groundingSettings.JudgeMaxClaims : 8;
+            foreach (var claim in claims.Where(c => !c.Supported).Take(maxClaims))
+            {
+                var supported = await JudgeAsync(claim, sources, model, cancellationToken);
+                if (supported is null) continue;
+
+                claim.Supported = supported.Value;
+                claim.Method = "judge";
+            }
+        }
+
+        var unsupported = claims.Count(c => !c.Supported);
+        Log.Information("CLAIMS checked={Checked} unsupported={Unsupported} judged={Judged}", claims.Count, unsupported, claims.Count(c => c.Method == "judge"));
+
+        return claims.ToArray();
+    }
+
+    // null when the model gives no usable verdict (the lexical result stands)
+    private async Task<bool?> JudgeAsync(ClaimCheck claim, IReadOnlyDictionary<int, string> sources, string? model, CancellationToken cancellationToken)
+    {
+        var markers = claim.Markers.Where(sources.ContainsKey).ToList();
+        if (markers.Count == 0 && claim.BestMarker is int best) markers.Add(best);
+
+        var text = new StringBuilder();
+        foreach (var marker in markers)
+        {
+            var block = $"[{marker}] {sources[marker].Trim()}\n\n";
+            if (text.Length + block.Length > JudgeSourcesMaxChars) break;
+            text.Append(block);
+        }
+
+        var executionSettings = new OllamaPromptExecutionSettings
+        {
+            NumPredict = 8,
+            Temperature = 0
+        };
+
+        if (!string.IsNullOrWhiteSpace(model))
+        {
+            executionSettings.ModelId = model;
+        }
+
+        try
+        {
+            var verdict = await kernel.InvokePromptAsync<string>(JudgePrompt, new KernelArguments(executionSettings)
+            {
+                ["sources"] = text.ToString().TrimEnd(),
+                ["claim"] = claim.Text
+            }, cancellationToken: cancellationToken);
+
+            var word = (verdict ?? string.Empty).Trim().TrimStart('*', '"').ToUpperInvariant();
+            if (word.StartsWith("UNSUPPORTED")) return false;
+            if (word.StartsWith("SUPPORTED")) return true;
+
+            Log.Warning("CLAIMS judge gave no verdict: {Verdict}", verdict);
+            return null;
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            Log.Warning("CLAIMS judge failed: {Error}", ex.Message);
+            return null;
+        }
+    }
+
+    // Answer sentences, one list item/heading/paragraph line at a time; code blocks and table rows are skipped
+    private static IEnumerable<string> Sentences(string answer)
+    {
+        var inCode = false;
+        foreach (var rawLine in answer.Split('\n'))
+        {
+            var line = rawLine.Trim();
+            if (line.StartsWith("```"))
+            {
+                inCode = !inCode;
+                continue;
+            }
+            if (inCode || line.Length == 0 || line.StartsWith('|')) continue;
+
+            foreach (var sentence in SentenceBreakPattern.Split(LinePrefixPattern.Replace(line, string.Empty)))
+            {
+                if (!string.IsNullOrWhiteSpace(sentence)) yield return sentence.Trim();
+            }
+        }
+    }
+
+    private static double Coverage(IReadOnlyCollection<string> terms, HashSet<string> sourceTerms) =>
+        terms.Count == 0 ? 0 : (double)terms.Count(sourceTerms.Contains) / terms.Count;
+
+    // The sentence as the client renders it: link text kept, emphasis and citation markers dropped, whitespace collapsed
+    private static string PlainText(string sentence)
+    {
+        var text = MarkdownLinkPattern.Replace(sentence, "$1");
+        text = EmphasisPattern.Replace(CitationMarkerPattern.Replace(text, string.Empty), string.Empty);
+        return Regex.Replace(text, @"\s+", " ").Trim();
+    }
+
+    // Lowercase words of 3+ letters (minus common stop words) and numbers; [n] citation markers are dropped
+    internal static IEnumerable<string> Terms(string? text) =>
+        string.IsNullOrWhiteSpace(text)
+            ? []
+            : TermPattern.Matches(CitationMarkerPattern.Replace(text, " "))
+                .Select(m => m.Value.ToLowerInvariant())
+                .Where(t => char.IsDigit(t[0]) || t.Length >= 3 && !StopWords.Contains(t));
+
+    private string LevelOf(double confidence, int sourceCount) =>
+        sourceCount == 0 ? "none" : confidence < _groundingSettings.WeakConfidence ? "weak" : "grounded";
+}
@@ -0,0 +1,196 @@
+﻿using System.Text;
+using System.Text.RegularExpressions;
+using Apex.SummarizerWithRAG.Interfaces;
+using Apex.SummarizerWithRAG.Models;
+using Microsoft.Extensions.Options;
+using Microsoft.SemanticKernel;
+using Microsoft.SemanticKernel.Connectors.Ollama;
+using Serilog;
+
+namespace Apex.SummarizerWithRAG.Services;
+
+/// <summary>
+/// Combines vector and keyword results (and the results of expanded queries) with reciprocal rank fusion,
+/// and optionally lets the model rerank the best candidates.
+/// </summary>
+public class HybridRetrievalService(Kernel kernel, IOptions<HybridRetrievalSettings> hybridRetrievalSettings) : IHybridRetrievalService
+{
+    private static readonly Regex NumberPattern = new(@"\d+", RegexOptions.Compiled);
+
+    private const int RerankPassageMaxChars = 700;
+
+    private const string RerankPrompt = """
+        Rank the passages below by how useful they are for answering the question.
+        -----------------
+        {{$passages}}
+        -----------------
+
+        Question: {{$query}}
+
+        Reply with the passage numbers only, most useful first, separated by commas (e.g. 3, 1, 2). Leave out passages that do not help.
+        """;
+
+    private readonly HybridRetrievalSettings _hybridRetrievalSettings = hybridRetrievalSettings.Value;
+
+    /// <summary>
+    /// Reciprocal rank fusion: each list adds 1 / (RrfK + rank) for a chunk, so chunks ranked well by both retrievers win.
+    /// Relevance keeps the vector similarity; keyword-only hits have none (0), their BM25 score is in Scores.Keyword.
+    /// </summary>
+    public RetrievedChunk[] Fuse(IReadOnlyList<RetrievedChunk> vector, IReadOnlyList<RetrievedChunk> keyword, int limit)
+    {
+        var k = _hybridRetrievalSettings.RrfK > 0 ? _hybridRetrievalSettings.RrfK : 60;
+        var fused = new Dictionary<(string?, int), RetrievedChunk>();
+
+        void Add(IReadOnlyList<RetrievedChunk> ranked, Action<RetrievedChunk, RetrievedChunk> mergeScores)
+        {
+            for (var i = 0; i < ranked.Count; i++)
+            {
+                var chunk = ranked[i];
+                var key = (chunk.DocumentId, chunk.PartitionNumber);
+                if (!fused.TryGetValue(key, out var existing))
+                {
+                    fused[key] = existing = chunk;
+                }
+                else
+                {
+                    mergeScores(existing, chunk);
+                }
+
+                existing.Scores.Fused = (existing.Scores.Fused ?? 0) + 1.0 / (k + i + 1);
+            }
+        }
+
+        Add(vector, (_, _) => { });
+        Add(keyword, (existing, chunk) =>
+        {
+            existing.Scores.Keyword = chunk.Scores.Keyword;
+            existing.Scores.KeywordRank = chunk.Scores.KeywordRank;
+            existing.Collection ??= chunk.Collection;
+        });
+
+        return fused.Values
+            .OrderByDescending(c => c.Scores.Fused)
+            .Take(Math.Max(1, limit))
+            .Select(c =>
+            {
+                c.Scores.Fused = Math.Round(c.Scores.Fused ?? 0, 4);
+                return c;
+            })
+            .ToArray();
+    }
+
+    /// <summary>
+    /// Merges the results of several queries (the question plus its expansions) into one list: a partition found by more
+    /// than one query is kept once (by DocumentId and PartitionNumber) with its best relevance, and ranked by the same
+    /// reciprocal rank sum so partitions several queries agree on come first. QueryHits counts the queries that found it.
+    /// </summary>
+    public RetrievedChunk[] MergeQueries(IReadOnlyList<RetrievedChunk[]> perQuery, int limit)
+    {
+        var k = _hybridRetrievalSettings.RrfK > 0 ? _hybridRetrievalSettings.RrfK : 60;
+        var merged = new Dictionary<(string?, int), (RetrievedChunk Chunk, double Score)>();
+
+        foreach (var ranked in perQuery)
+        {
+            for (var i = 0; i < ranked.Length; i++)
+            {
+                var chunk = ranked[i];
+                var key = (chunk.DocumentId, chunk.PartitionNumber);
+                var score = 1.0 / (k + i + 1);
+
+                if (!merged.TryGetValue(key, out var existing))
+                {
+                    chunk.Scores.QueryHits = 1;
+                    merged[key] = (chunk, score);
+                    continue;
+                }
+
+                // keep the copy with the better relevance (and its per-retriever scores)
+                var best = chunk.Relevance > existing.Chunk.Relevance
+                           || (chunk.Relevance == existing.Chunk.Relevance && (chunk.Scores.Keyword ?? 0) > (existing.Chunk.Scores.Keyword ?? 0))
+                    ? chunk
+                    : existing.Chunk;
+                best.Scores.QueryHits = (existing.Chunk.Scores.QueryHits ?? 1) + 1;
+                best.Collection ??= existing.Chunk.Collection ?? chunk.Collection;
+                merged[key] = (best, existing.Score + score);
+            }
+        }
+
+        return merged.Values
+            .OrderByDescending(m => m.Score)
+            .ThenByDescending(m => m.Chunk.Relevance)
+            .Take(Math.Max(1, limit))
+            .Select(m => m.Chunk)
+            .ToArray();
+    }
+
+    /// <summary>
+    /// Asks the model to order the top RerankCandidates chunks (one listwise prompt); chunks it leaves out, and those
+    /// beyond the candidates, follow in their previous order. On failure the order is kept.
+    /// </summary>
+    public async Task<RetrievedChunk[]> RerankAsync(string query, RetrievedChunk[] chunks, string? model, CancellationToken cancellationToken = default)
+    {
+        var candidates = chunks.Take(_hybridRetrievalSettings.RerankCandidates > 0 ? _hybridRetrievalSettings.RerankCandidates : 12).ToArray();
+        if (candidates.Length < 2)
+        {
+            return chunks;
+        }
+
+        var passages = new StringBuilder();
+        for (var i = 0; i < candidates.Length; i++)
+        {
+            var text = (candidates[i].Text ?? string.Empty).Trim();
+            if (text.Length > RerankPassageMaxChars) text = text[..RerankPassageMaxChars] + "…";
+            passages.Append($"[{i + 1}] {text}\n\n");
+        }
+
+        var executionSettings = new OllamaPromptExecutionSettings
+        {
+            NumPredict = 64,
+            Temperature = 0
+        };
+
+        if (!string.IsNullOrWhiteSpace(model))
+        {
+            executionSettings.ModelId = model;
+        }
+
+        try
+        {
+            var reply = await kernel.InvokePromptAsync<string>(RerankPrompt, new KernelArguments(executionSettings)
+            {
+                ["passages"] = passages.ToString().TrimEnd(),
+                ["query"] = query
+            }, cancellationToken: cancellationToken);
+
+            var order = NumberPattern.Matches(reply ?? string.Empty)
+                .Select(m => int.TryParse(m.Value, out var n) ? n - 1 : -1)
+                .Where(i => i >= 0 && i < candidates.Length)
+                .Distinct()
+                .ToList();
+
+            if (order.Count == 0)
+            {
+                Log.Warning("RERANK gave no usable order: {Reply}", reply);
+                return chunks;
+            }
+
+            var reranked = order.Select(i => candidates[i])
+                .Concat(candidates.Where((_, i) => !order.Contains(i)))
+                .Concat(chunks.Skip(candidates.Length))
+                .ToArray();
+
+            for (var i = 0; i < order.Count; i++)
+            {
+                reranked[i].Scores.RerankRank = i + 1;
+            }
+
+            Log.Information("RERANK candidates={Candidates} ranked={Ranked} order=[{Order}]", candidates.Length, order.Count, string.Join(", ", order.Select(i => i + 1)));
+            return reranked;
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            Log.Warning("RERANK failed, keeping retrieval order: {Error}", ex.Message);
+            return chunks;
+        }
+    }
+}
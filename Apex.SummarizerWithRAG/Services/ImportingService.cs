@@ -7,7 +7,7 @@ using Elastic.Transport;
 
 namespace Apex.SummarizerWithRAG.Services;
 
-public class ImportingService(IKernelMemory memory, IOptions<RagSettings> ragSettings) : IImportingService
+public class ImportingService(IKernelMemory memory, IKeywordIndexingService keywordIndexingService, IOptions<RagSettings> ragSettings) : IImportingService
 {
     private readonly RagSettings _ragSettings = ragSettings.Value;
 
@@ -33,6 +33,9 @@ public class ImportingService(IKernelMemory memory, IOptions<RagSettings> ragSet
                 index: index);
 
             Log.Debug("MEMORY Ingest success fileName='{FileName}' docId='{DocId}'", fileName, returnedId);
+
+            // added to the keyword index in the background once the pipeline completes
+            keywordIndexingService.Enqueue(returnedId, index);
             return returnedId;
         }
         catch (TransportException tex)
@@ -0,0 +1,324 @@
+﻿using System.Text.Json;
+using System.Text.Json.Serialization;
+using System.Text.RegularExpressions;
+using Apex.SummarizerWithRAG.Interfaces;
+using Apex.SummarizerWithRAG.Models;
+using Microsoft.Extensions.Options;
+using Microsoft.KernelMemory;
+using Serilog;
+
+namespace Apex.SummarizerWithRAG.Services;
+
+/// <summary>
+/// BM25 keyword index over the same partitions Kernel Memory stores, so exact identifiers (contract numbers,
+/// error codes) are found even when their embeddings are not close to the question's.
+/// Documents are added once their ingestion pipeline completes and kept in a JSON file; a missing file is rebuilt
+/// from Kernel Memory on the first keyword search.
+/// </summary>
+public class KeywordIndexService(IKernelMemory memory, IOptions<HybridRetrievalSettings> hybridRetrievalSettings) : IKeywordIndexService
+{
+    private static readonly SemaphoreSlim FileLock = new(1, 1);
+    private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+
+    // Words and numbers; identifiers joined by - _ . / : stay whole (and are also indexed by their parts)
+    private static readonly Regex TokenPattern = new(@"[\p{L}\p{N}]+(?:[-_./:][\p{L}\p{N}]+)*", RegexOptions.Compiled);
+    private static readonly char[] TokenSeparators = ['-', '_', '.', '/', ':'];
+
+    // Loaded once per process; guarded by FileLock
+    private static Dictionary<string, KeywordDocument>? _documents;
+
+    private readonly HybridRetrievalSettings _hybridRetrievalSettings = hybridRetrievalSettings.Value;
+
+    public async Task<bool> IndexDocumentAsync(string documentId, string index, CancellationToken cancellationToken = default)
+    {
+        var sr = await memory.SearchAsync(" ", index: index, filter: MemoryFilters.ByDocument(documentId), minRelevance: 0, limit: MaxPartitions, cancellationToken: cancellationToken);
+        var document = ToDocuments(sr?.Results ?? [], index).FirstOrDefault(d => string.Equals(d.DocumentId, documentId, StringComparison.Ordinal));
+        if (document is null)
+        {
+            Log.Debug("KEYWORD Nothing to index yet for docId={DocumentId} index={Index}", documentId, index);
+            return false;
+        }
+
+        await FileLock.WaitAsync(cancellationToken);
+        try
+        {
+            var documents = await LoadAsync(cancellationToken);
+            documents[documentId] = document;
+            await SaveAsync(documents, cancellationToken);
+        }
+        finally
+        {
+            FileLock.Release();
+        }
+
+        Log.Information("KEYWORD Indexed docId={DocumentId} index={Index} partitions={Partitions}", documentId, index, document.Partitions.Count);
+        return true;
+    }
+
+    public async Task<bool> ContainsAsync(string documentId, CancellationToken cancellationToken = default)
+    {
+        await FileLock.WaitAsync(cancellationToken);
+        try
+        {
+            return (await LoadAsync(cancellationToken)).ContainsKey(documentId);
+        }
+        finally
+        {
+            FileLock.Release();
+        }
+    }
+
+    public async Task RemoveDocumentAsync(string documentId, CancellationToken cancellationToken = default)
+    {
+        await FileLock.WaitAsync(cancellationToken);
+        try
+        {
+            var documents = await LoadAsync(cancellationToken);
+            if (documents.Remove(documentId))
+            {
+                await SaveAsync(documents, cancellationToken);
+                Log.Information("KEYWORD Removed docId={DocumentId}", documentId);
+            }
+        }
+        finally
+        {
+            FileLock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Re-reads every partition of the index from Kernel Memory (up to MaxPartitions) and replaces that index's entries.
+    /// </summary>
+    public async Task<int> RebuildAsync(string index, CancellationToken cancellationToken = default)
+    {
+        var sr = await memory.SearchAsync(" ", index: index, minRelevance: 0, limit: MaxPartitions, cancellationToken: cancellationToken);
+        var rebuilt = ToDocuments(sr?.Results ?? [], index);
+
+        await FileLock.WaitAsync(cancellationToken);
+        try
+        {
+            var documents = await LoadAsync(cancellationToken);
+            foreach (var stale in documents.Values.Where(d => d.Index == index).Select(d => d.DocumentId!).ToList())
+            {
+                documents.Remove(stale);
+            }
+            foreach (var document in rebuilt)
+            {
+                documents[document.DocumentId!] = document;
+            }
+            await SaveAsync(documents, cancellationToken);
+        }
+        finally
+        {
+            FileLock.Release();
+        }
+
+        Log.Information("KEYWORD Rebuilt index={Index} documents={Documents} partitions={Partitions}", index, rebuilt.Count, rebuilt.Sum(d => d.Partitions.Count));
+        return rebuilt.Count;
+    }
+
+    /// <summary>
+    /// Okapi BM25 over the partitions in scope (the given documents, else the given collections).
+    /// Relevance is the score relative to the best hit (1 for the top result); the raw score is in Scores.Keyword.
+    /// </summary>
+    public async Task<IReadOnlyList<RetrievedChunk>> SearchAsync(string query, string index, IReadOnlyCollection<string> collections, IReadOnlyCollection<string> documentIds, int limit, CancellationToken cancellationToken = default)
+    {
+        var queryTerms = Tokens(query).Distinct().ToArray();
+        if (queryTerms.Length == 0)
+        {
+            return [];
+        }
+
+        if (!File.Exists(IndexPath))
+        {
+            await RebuildAsync(index, cancellationToken);
+        }
+
+        List<(KeywordDocument Document, KeywordPartition Partition)> scope;
+        await FileLock.WaitAsync(cancellationToken);
+        try
+        {
+            scope = (await LoadAsync(cancellationToken)).Values
+                .Where(d => d.Index == index)
+                .Where(d => documentIds.Count > 0
+                    ? documentIds.Contains(d.DocumentId!)
+                    : collections.Contains(d.Collection ?? string.Empty, StringComparer.OrdinalIgnoreCase))
+                .SelectMany(d => d.Partitions.Select(p => (Document: d, Partition: p.WithTerms())))
+                .ToList();
+        }
+        finally
+        {
+            FileLock.Release();
+        }
+
+        if (scope.Count == 0)
+        {
+            return [];
+        }
+
+        var k1 = _hybridRetrievalSettings.Bm25K1 > 0 ? _hybridRetrievalSettings.Bm25K1 : 1.2;
+        var b = _hybridRetrievalSettings.Bm25B is >= 0 and <= 1 ? _hybridRetrievalSettings.Bm25B : 0.75;
+        var averageLength = Math.Max(1, scope.Average(s => s.Partition.Length));
+        var idf = queryTerms.ToDictionary(t => t, t =>
+        {
+            var df = scope.Count(s => s.Partition.Terms!.ContainsKey(t));
+            return Math.Log(1 + (scope.Count - df + 0.5) / (df + 0.5));
+        });
+
+        var minScore = Math.Max(0, _hybridRetrievalSettings.Bm25MinScore);
+        var hits = scope
+            .Select(s =>
+            {
+                var score = 0.0;
+                foreach (var term in queryTerms)
+                {
+                    if (!s.Partition.Terms!.TryGetValue(term, out var tf)) continue;
+                    score += idf[term] * tf * (k1 + 1) / (tf + k1 * (1 - b + b * s.Partition.Length / averageLength));
+                }
+                return (s.Document, s.Partition, Score: score);
+            })
+            .Where(h => h.Score > 0 && h.Score >= minScore)
+            .OrderByDescending(h => h.Score)
+            .Take(Math.Max(1, limit))
+            .ToList();
+
+        if (hits.Count == 0)
+        {
+            return [];
+        }
+
+        // BM25 scores are not similarities: they stay in Scores.Keyword and the chunk gets no (vector) relevance
+        return hits
+            .Select((h, i) => new RetrievedChunk
+            {
+                Index = h.Document.Index,
+                DocumentId = h.Document.DocumentId,
+                SourceName = h.Document.SourceName,
+                SourceContentType = h.Document.SourceContentType,
+                Collection = h.Document.Collection,
+                PartitionNumber = h.Partition.PartitionNumber,
+                SectionNumber = h.Partition.SectionNumber,
+                Text = h.Partition.Text,
+                Scores = new RetrievalScores { Keyword = Math.Round(h.Score, 3), KeywordRank = i + 1 }
+            })
+            .ToList();
+    }
+
+    private static List<KeywordDocument> ToDocuments(IEnumerable<Citation> results, string index) =>
+        results
+            .Where(r => !string.IsNullOrWhiteSpace(r.DocumentId))
+            .GroupBy(r => r.DocumentId)
+            .Select(g =>
+            {
+                var partitions = g.SelectMany(r => r.Partitions ?? []).ToList();
+                return new KeywordDocument
+                {
+                    Index = index,
+                    DocumentId = g.Key,
+                    SourceName = g.First().SourceName,
+                    SourceContentType = g.First().SourceContentType,
+                    Collection = partitions
+                        .Select(p => p.Tags.TryGetValue("collection", out var values) ? values.FirstOrDefault() : null)
+                        .FirstOrDefault(c => !string.IsNullOrWhiteSpace(c)),
+                    Partitions = partitions
+                        .Where(p => !string.IsNullOrWhiteSpace(p.Text))
+                        .GroupBy(p => p.PartitionNumber)
+                        .Select(pg => pg.First())
+                        .OrderBy(p => p.PartitionNumber)
+                        .Select(p => new KeywordPartition { PartitionNumber = p.PartitionNumber, SectionNumber = p.SectionNumber, Text = p.Text })
+                        .ToList()
+                };
+            })
+            .Where(d => d.Partitions.Count > 0)
+            .ToList();
+
+    private static IEnumerable<string> Tokens(string? text)
+    {
+        if (string.IsNullOrWhiteSpace(text)) yield break;
+
+        foreach (Match match in TokenPattern.Matches(text))
+        {
+            var token = match.Value.ToLowerInvariant();
+            yield return token;
+
+            if (token.IndexOfAny(TokenSeparators) < 0) continue;
+            foreach (var part in token.Split(TokenSeparators, StringSplitOptions.RemoveEmptyEntries))
+            {
+                yield return part;
+            }
+        }
+    }
+
+    // Callers hold FileLock
+    private async Task<Dictionary<string, KeywordDocument>> LoadAsync(CancellationToken cancellationToken)
+    {
+        if (_documents is not null)
+        {
+            return _documents;
+        }
+
+        if (!File.Exists(IndexPath))
+        {
+            return _documents = new Dictionary<string, KeywordDocument>(StringComparer.Ordinal);
+        }
+
+        await using var stream = File.OpenRead(IndexPath);
+        var documents = await JsonSerializer.DeserializeAsync<List<KeywordDocument>>(stream, JsonOptions, cancellationToken) ?? [];
+        return _documents = documents
+            .Where(d => !string.IsNullOrWhiteSpace(d.DocumentId))
+            .ToDictionary(d => d.DocumentId!, StringComparer.Ordinal);
+    }
+
+    // Callers hold FileLock; written to a temp file first so a crash never leaves a half-written index
+    private async Task SaveAsync(Dictionary<string, KeywordDocument> documents, CancellationToken cancellationToken)
+    {
+        Directory.CreateDirectory(Path.GetDirectoryName(Path.GetFullPath(IndexPath))!);
+        var tempPath = IndexPath + ".tmp";
+
+        await using (var stream = File.Create(tempPath))
+        {
+            await JsonSerializer.SerializeAsync(stream, documents.Values.ToList(), JsonOptions, cancellationToken);
+        }
+
+        File.Move(tempPath, IndexPath, overwrite: true);
+    }
+
+    private int MaxPartitions => _hybridRetrievalSettings.MaxPartitions > 0 ? _hybridRetrievalSettings.MaxPartitions : 10000;
+
+    private string IndexPath =>
+        string.IsNullOrWhiteSpace(_hybridRetrievalSettings.KeywordIndexPath)
+            ? Path.Combine(AppContext.BaseDirectory, "keyword-index.json")
+            : _hybridRetrievalSettings.KeywordIndexPath;
+
+    private sealed class KeywordDocument
+    {
+        public string? Index { get; set; }
+        public string? DocumentId { get; set; }
+        public string? SourceName { get; set; }
+        public string? SourceContentType { get; set; }
+        public string? Collection { get; set; }
+        public List<KeywordPartition> Partitions { get; set; } = [];
+    }
+
+    private sealed class KeywordPartition
+    {
+        public int PartitionNumber { get; set; }
+        public int SectionNumber { get; set; }
+        public string? Text { get; set; }
+
+        // Term frequencies, computed on first use
+        [JsonIgnore] public Dictionary<string, int>? Terms { get; private set; }
+        [JsonIgnore] public int Length { get; private set; }
+
+        public KeywordPartition WithTerms()
+        {
+            if (Terms is null)
+            {
+                var tokens = Tokens(Text).ToList();
+                Length = tokens.Count;
+                Terms = tokens.GroupBy(t => t).ToDictionary(g => g.Key, g => g.Count());
+            }
+            return this;
+        }
+    }
+}
@@ -0,0 +1,106 @@
+﻿using System.Threading.Channels;
+using Apex.SummarizerWithRAG.Interfaces;
+using Microsoft.KernelMemory;
+using Serilog;
+
+namespace Apex.SummarizerWithRAG.Services;
+
+/// <summary>
+/// Adds imported documents to the keyword index once Kernel Memory has finished ingesting them, whoever uploaded
+/// them and whether or not anyone polls their status. Runs in the background: imports only enqueue the document id.
+/// </summary>
+public class KeywordIndexingService(IServiceScopeFactory scopeFactory) : BackgroundService, IKeywordIndexingService
+{
+    private static readonly TimeSpan PollInterval = TimeSpan.FromSeconds(2);
+    private static readonly TimeSpan IngestionTimeout = TimeSpan.FromMinutes(30);
+
+    private readonly Channel<(string DocumentId, string Index)> _queue = Channel.CreateUnbounded<(string DocumentId, string Index)>();
+
+    public void Enqueue(string documentId, string index)
+    {
+        if (string.IsNullOrWhiteSpace(documentId)) return;
+        _queue.Writer.TryWrite((documentId, index));
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        // documents still being ingested, with the time they were queued
+        var pending = new Dictionary<string, (string Index, DateTimeOffset Queued)>(StringComparer.Ordinal);
+
+        try
+        {
+            while (!stoppingToken.IsCancellationRequested)
+            {
+                if (pending.Count == 0)
+                {
+                    await _queue.Reader.WaitToReadAsync(stoppingToken);
+                }
+
+                while (_queue.Reader.TryRead(out var item))
+                {
+                    pending[item.DocumentId] = (item.Index, DateTimeOffset.UtcNow);
+                }
+
+                await using (var scope = scopeFactory.CreateAsyncScope())
+                {
+                    var memory = scope.ServiceProvider.GetRequiredService<IKernelMemory>();
+                    var keywordIndexService = scope.ServiceProvider.GetRequiredService<IKeywordIndexService>();
+
+                    foreach (var (documentId, (index, queued)) in pending.ToList())
+                    {
+                        if (await TryIndexAsync(memory, keywordIndexService, documentId, index, stoppingToken))
+                        {
+                            pending.Remove(documentId);
+                        }
+                        else if (DateTimeOffset.UtcNow - queued > IngestionTimeout)
+                        {
+                            Log.Warning("KEYWORD Gave up waiting for ingestion after {Minutes} min: docId={DocumentId}, index={Index}", IngestionTimeout.TotalMinutes, documentId, index);
+                            pending.Remove(documentId);
+                        }
+                    }
+                }
+
+                if (pending.Count > 0)
+                {
+                    await Task.Delay(PollInterval, stoppingToken);
+                }
+            }
+        }
+        catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+        {
+            // shutting down; documents still pending are added by the next POST /keyword-index/rebuild
+        }
+    }
+
+    // True when the document is done with (indexed, already indexed, or its ingestion failed); false to check again later.
+    // Failures only cost keyword recall, so they are logged, not thrown.
+    private static async Task<bool> TryIndexAsync(IKernelMemory memory, IKeywordIndexService keywordIndexService, string documentId, string index, CancellationToken cancellationToken)
+    {
+        try
+        {
+            var status = await memory.GetDocumentStatusAsync(documentId, index, cancellationToken);
+            if (status is { Failed: true })
+            {
+                Log.Warning("KEYWORD Not indexing docId={DocumentId}: ingestion failed", documentId);
+                return true;
+            }
+
+            if (status is not { Completed: true })
+            {
+                return false;
+            }
+
+            if (!await keywordIndexService.ContainsAsync(documentId, cancellationToken))
+            {
+                await keywordIndexService.IndexDocumentAsync(documentId, index, cancellationToken);
+            }
+
+            return true;
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            Log.Warning("KEYWORD Indexing failed: docId={DocumentId}, index={Index}, error={Error}", documentId, index, ex.Message);
+            return true;
+        }
+    }
+}
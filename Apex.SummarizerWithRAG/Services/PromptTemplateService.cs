@@ -0,0 +1,307 @@
+﻿using System.Text.Json;
+using System.Text.RegularExpressions;
+using Apex.SummarizerWithRAG.Interfaces;
+using Apex.SummarizerWithRAG.Models;
+using Microsoft.Extensions.Options;
+using Serilog;
+
+namespace Apex.SummarizerWithRAG.Services;
+
+/// <summary>
+/// Named RAG prompt templates stored in a JSON file; the built-in templates are used until the first change is saved.
+/// A template must contain {{$sources}} and {{$query}}; {{$language}} is optional (the requested answer language).
+/// </summary>
+public class PromptTemplateService(IOptions<PromptTemplateSettings> promptTemplateSettings) : IPromptTemplateService
+{
+    public const string DefaultTemplateId = "default";
+
+    private static readonly SemaphoreSlim FileLock = new(1, 1);
+    private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web) { WriteIndented = true };
+    private static readonly Regex IdPattern = new("^[a-z0-9][a-z0-9-]{0,63}$", RegexOptions.Compiled);
+
+    private readonly PromptTemplateSettings _promptTemplateSettings = promptTemplateSettings.Value;
+
+    private static readonly PromptTemplate[] BuiltInTemplates =
+    [
+        new()
+        {
+            Id = DefaultTemplateId,
+            Name = "Default",
+            Description = "Answer from the sources with [n] citations.",
+            Template = """
+                Please use this information to answer the question.
+                Each source starts with its number in square brackets. After each sentence that uses a source,
+                cite it with its number, e.g. [1] or [2][3]. Only cite numbers that appear below.
+                -----------------
+                {{$sources}}
+                -----------------
+
+                Question: {{$query}}
+                """
+        },
+        new()
+        {
+            Id = "concise",
+            Name = "Concise",
+            Description = "Two or three sentences, no preamble.",
+            Template = """
+                Answer the question in at most three sentences, without an introduction, using only the sources below.
+                Each source starts with its number in square brackets; cite the sources you use, e.g. [1] or [2][3].
+                If the sources do not contain the answer, say so in one sentence.
+                -----------------
+                {{$sources}}
+                -----------------
+
+                Question: {{$query}}
+                """
+        },
+        new()
+        {
+            Id = "detailed-quotes",
+            Name = "Detailed with quotes",
+            Description = "Thorough answer backed by verbatim quotes.",
+            Template = """
+                Give a thorough answer to the question using only the sources below. Cover every relevant aspect the sources mention.
+                Support each point with a short verbatim quote from a source in quotation marks, followed by its number, e.g. "..." [2].
+                Each source starts with its number in square brackets. Only cite numbers that appear below.
+                -----------------
+                {{$sources}}
+                -----------------
+
+                Question: {{$query}}
+                """
+        },
+        new()
+        {
+            Id = "bullets",
+            Name = "Bullet list",
+            Description = "One fact per bullet, most important first.",
+            Template = """
+                Answer the question as a Markdown bullet list using only the sources below: one fact per bullet, most important first,
+                each bullet ending with the numbers of the sources it is based on, e.g. [1] or [2][3].
+                Each source starts with its number in square brackets. Only cite numbers that appear below.
+                -----------------
+                {{$sources}}
+                -----------------
+
+                Question: {{$query}}
+                """
+        },
+        new()
+        {
+            Id = "legal-strict",
+            Name = "Strict (sources only)",
+            Description = "Answers only what the sources state; otherwise says it is unknown.",
+            Template = """
+                Answer ONLY from the sources below. Do not use prior knowledge, do not guess and do not generalize.
+                If the sources do not explicitly answer the question, reply exactly: "Unknown: the documents do not answer this question."
+                Quote the exact wording for definitions, obligations, dates and amounts. Cite every sentence with its source number, e.g. [1].
+                Each source starts with its number in square brackets. Only cite numbers that appear below.
+                -----------------
+                {{$sources}}
+                -----------------
+
+                Question: {{$query}}
+                """
+        },
+        new()
+        {
+            Id = "translate",
+            Name = "Answer in another language",
+            Description = "Answers in the chosen language, whatever the language of the documents.",
+            Template = """
+                Answer the question in {{$language}}, using only the sources below (they may be written in another language).
+                Keep names, numbers and identifiers unchanged. Cite the sources you use with their numbers, e.g. [1] or [2][3].
+                Each source starts with its number in square brackets. Only cite numbers that appear below.
+                -----------------
+                {{$sources}}
+                -----------------
+
+                Question: {{$query}}
+                """
+        }
+    ];
+
+    public async Task<IReadOnlyList<PromptTemplate>> ListAsync(CancellationToken cancellationToken = default)
+    {
+        await FileLock.WaitAsync(cancellationToken);
+        try
+        {
+            return (await LoadAsync(cancellationToken))
+                .OrderBy(t => t.Id != DefaultTemplateId)
+                .ThenBy(t => t.Name, StringComparer.OrdinalIgnoreCase)
+                .ToList();
+        }
+        finally
+        {
+            FileLock.Release();
+        }
+    }
+
+    public async Task<PromptTemplate?> GetAsync(string id, CancellationToken cancellationToken = default)
+    {
+        var templates = await ListAsync(cancellationToken);
+        return templates.FirstOrDefault(t => string.Equals(t.Id, id, StringComparison.OrdinalIgnoreCase));
+    }
+
+    /// <summary>
+    /// Template for a query: the requested one, else the configured default, else the built-in default.
+    /// </summary>
+    public async Task<PromptTemplate> ResolveAsync(string? id, CancellationToken cancellationToken = default)
+    {
+        var templates = await ListAsync(cancellationToken);
+        var template = FindTemplate(templates, id);
+
+        if (template is null && !string.IsNullOrWhiteSpace(id))
+        {
+            Log.Warning("PROMPT Template '{Id}' not found, using the default", id);
+        }
+
+        template ??= FindTemplate(templates, _promptTemplateSettings.DefaultTemplateId) ?? FindTemplate(templates, DefaultTemplateId);
+        return template ?? BuiltInTemplates[0];
+    }
+
+    public async Task<PromptTemplate> AddAsync(PromptTemplate template, CancellationToken cancellationToken = default)
+    {
+        template.Id = string.IsNullOrWhiteSpace(template.Id) ? Slugify(template.Name) : template.Id.Trim().ToLowerInvariant();
+        Validate(template);
+
+        await FileLock.WaitAsync(cancellationToken);
+        try
+        {
+            var templates = await LoadAsync(cancellationToken);
+            if (FindTemplate(templates, template.Id) is not null)
+            {
+                throw new InvalidOperationException($"A template with id '{template.Id}' already exists.");
+            }
+
+            template.UpdatedUtc = DateTimeOffset.UtcNow;
+            templates.Add(template);
+            await SaveAsync(templates, cancellationToken);
+        }
+        finally
+        {
+            FileLock.Release();
+        }
+
+        Log.Information("PROMPT Added template '{Id}' ({Name})", template.Id, template.Name);
+        return template;
+    }
+
+    public async Task<PromptTemplate?> UpdateAsync(string id, PromptTemplate template, CancellationToken cancellationToken = default)
+    {
+        template.Id = id.Trim().ToLowerInvariant();
+        Validate(template);
+
+        await FileLock.WaitAsync(cancellationToken);
+        try
+        {
+            var templates = await LoadAsync(cancellationToken);
+            var index = templates.FindIndex(t => string.Equals(t.Id, template.Id, StringComparison.OrdinalIgnoreCase));
+            if (index < 0)
+            {
+                return null;
+            }
+
+            template.UpdatedUtc = DateTimeOffset.UtcNow;
+            templates[index] = template;
+            await SaveAsync(templates, cancellationToken);
+        }
+        finally
+        {
+            FileLock.Release();
+        }
+
+        Log.Information("PROMPT Updated template '{Id}' ({Name})", template.Id, template.Name);
+        return template;
+    }
+
+    public async Task<bool> DeleteAsync(string id, CancellationToken cancellationToken = default)
+    {
+        if (string.Equals(id, DefaultTemplateId, StringComparison.OrdinalIgnoreCase))
+        {
+            throw new InvalidOperationException("The default template cannot be deleted.");
+        }
+
+        await FileLock.WaitAsync(cancellationToken);
+        try
+        {
+            var templates = await LoadAsync(cancellationToken);
+            if (templates.RemoveAll(t => string.Equals(t.Id, id, StringComparison.OrdinalIgnoreCase)) == 0)
+            {
+                return false;
+            }
+
+            await SaveAsync(templates, cancellationToken);
+        }
+        finally
+        {
+            FileLock.Release();
+        }
+
+        Log.Information("PROMPT Deleted template '{Id}'", id);
+        return true;
+    }
+
+    // Callers hold FileLock
+    private async Task<List<PromptTemplate>> LoadAsync(CancellationToken cancellationToken)
+    {
+        if (!File.Exists(FilePath))
+        {
+            return BuiltInTemplates.Select(Copy).ToList();
+        }
+
+        await using var stream = File.OpenRead(FilePath);
+        return await JsonSerializer.DeserializeAsync<List<PromptTemplate>>(stream, JsonOptions, cancellationToken) ?? [];
+    }
+
+    // Callers hold FileLock; written to a temp file first so a crash never leaves a half-written file
+    private async Task SaveAsync(List<PromptTemplate> templates, CancellationToken cancellationToken)
+    {
+        Directory.CreateDirectory(Path.GetDirectoryName(Path.GetFullPath(FilePath))!);
+        var tempPath = FilePath + ".tmp";
+
+        await using (var stream = File.Create(tempPath))
+        {
+            await JsonSerializer.SerializeAsync(stream, templates, JsonOptions, cancellationToken);
+        }
+
+        File.Move(tempPath, FilePath, overwrite: true);
+    }
+
+    private static void Validate(PromptTemplate template)
+    {
+        if (string.IsNullOrWhiteSpace(template.Id) || !IdPattern.IsMatch(template.Id))
+            throw new ArgumentException("id must be 1-64 lowercase letters, digits or dashes.");
+        if (string.IsNullOrWhiteSpace(template.Name))
+            throw new ArgumentException("name is required.");
+        if (string.IsNullOrWhiteSpace(template.Template) || !template.Template.Contains("{{$sources}}") || !template.Template.Contains("{{$query}}"))
+            throw new ArgumentException("template must contain {{$sources}} and {{$query}}.");
+
+        template.Name = template.Name.Trim();
+        template.Description = template.Description?.Trim();
+    }
+
+    private static PromptTemplate? FindTemplate(IEnumerable<PromptTemplate> templates, string? id) =>
+        string.IsNullOrWhiteSpace(id) ? null : templates.FirstOrDefault(t => string.Equals(t.Id, id.Trim(), StringComparison.OrdinalIgnoreCase));
+
+    private static PromptTemplate Copy(PromptTemplate t) => new()
+    {
+        Id = t.Id,
+        Name = t.Name,
+        Description = t.Description,
+        Template = t.Template
+    };
+
+    private static string Slugify(string? name)
+    {
+        var slug = Regex.Replace((name ?? string.Empty).Trim().ToLowerInvariant(), "[^a-z0-9]+", "-").Trim('-');
+        if (slug.Length > 64) slug = slug[..64].TrimEnd('-');
+        return slug.Length > 0 ? slug : Guid.NewGuid().ToString("N")[..8];
+    }
+
+    private string FilePath =>
+        string.IsNullOrWhiteSpace(_promptTemplateSettings.FilePath)
+            ? Path.Combine(AppContext.BaseDirectory, "prompt-templates.json")
+            : _promptTemplateSettings.FilePath;
+}
@@ -0,0 +1,163 @@
+﻿using System.Text.RegularExpressions;
+using Apex.SummarizerWithRAG.Interfaces;
+using Apex.SummarizerWithRAG.Models;
+using Microsoft.Extensions.Options;
+using Microsoft.SemanticKernel;
+using Microsoft.SemanticKernel.Connectors.Ollama;
+using Serilog;
+
+namespace Apex.SummarizerWithRAG.Services;
+
+public class QueryRewritingService(Kernel kernel, IOptions<RagSettings> ragSettings) : IQueryRewritingService
+{
+    private readonly RagSettings _ragSettings = ragSettings.Value;
+
+    // Leading list markers the model tends to add anyway: "1.", "2)", "-", "*", "•"
+    private static readonly Regex ListMarkerPattern = new(@"^\s*(?:\d+[.)]|[-*\u2022])\s*", RegexOptions.Compiled);
+
+    private const int MaxExpansionCount = 5;
+
+    private const string CondensePrompt = """
+        Given the conversation below and a follow-up question, rewrite the follow-up question as a standalone question
+        that can be understood without the conversation. Keep names, identifiers and numbers verbatim.
+        Do not answer the question. Return only the rewritten question.
+        -----------------
+        {{$history}}
+        -----------------
+
+        Follow-up question: {{$question}}
+        Standalone question:
+        """;
+
+    private const string ExpandPrompt = """
+        Write {{$count}} different search queries that together help find the passages needed to answer the question below.
+        Use paraphrases with other wording, or split a question that asks several things into its sub-questions.
+        Keep names, identifiers and numbers verbatim. Do not answer the question.
+        Return one query per line, without numbering or any other text.
+
+        Question: {{$query}}
+        Queries:
+        """;
+
+    /// <summary>
+    /// Rewrites a follow-up question into a standalone retrieval query using the recent conversation.
+    /// Returns the question unchanged when there is no usable history or the rewrite fails.
+    /// </summary>
+    public async Task<string> CondenseAsync(string question, IReadOnlyList<ChatTurn> history, string? model, CancellationToken cancellationToken = default)
+    {
+        var transcript = BuildTranscript(history);
+        if (string.IsNullOrWhiteSpace(transcript))
+        {
+            return question;
+        }
+
+        var executionSettings = new OllamaPromptExecutionSettings
+        {
+            NumPredict = 256,
+            Temperature = 0
+        };
+
+        if (!string.IsNullOrWhiteSpace(model))
+        {
+            executionSettings.ModelId = model;
+        }
+
+        try
+        {
+            var rewritten = await kernel.InvokePromptAsync<string>(CondensePrompt, new KernelArguments(executionSettings)
+            {
+                ["history"] = transcript,
+                ["question"] = question
+            }, cancellationToken: cancellationToken);
+
+            var standalone = rewritten?.Trim().Trim('"').Trim();
+            if (string.IsNullOrWhiteSpace(standalone))
+            {
+                return question;
+            }
+
+            Log.Debug("QUERY Condensed '{Question}' -> '{Standalone}'", question, standalone);
+            return standalone;
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            Log.Error("QUERY Condense failed, using the original question. Exception {message}", ex.Message);
+            return question;
+        }
+    }
+
+    /// <summary>
+    /// Asks the model for up to ExpansionCount paraphrases or sub-questions of the retrieval query, searched alongside it.
+    /// Returns no queries when the model gives none that differ from the original or the call fails.
+    /// </summary>
+    public async Task<string[]> ExpandAsync(string query, string? model, CancellationToken cancellationToken = default)
+    {
+        var count = Math.Clamp(_ragSettings.ExpansionCount > 0 ? _ragSettings.ExpansionCount : 3, 1, MaxExpansionCount);
+
+        var executionSettings = new OllamaPromptExecutionSettings
+        {
+            NumPredict = 256,
+            Temperature = 0.3f
+        };
+
+        if (!string.IsNullOrWhiteSpace(model))
+        {
+            executionSettings.ModelId = model;
+        }
+
+        try
+        {
+            var reply = await kernel.InvokePromptAsync<string>(ExpandPrompt, new KernelArguments(executionSettings)
+            {
+                ["count"] = count,
+                ["query"] = query
+            }, cancellationToken: cancellationToken);
+
+            var queries = (reply ?? string.Empty)
+                .Split('\n', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+                .Select(line => ListMarkerPattern.Replace(line, string.Empty).Trim().Trim('"').Trim())
+                .Where(q => q.Length > 0 && !q.EndsWith(':'))
+                .Where(q => !string.Equals(q, query.Trim(), StringComparison.OrdinalIgnoreCase))
+                .Distinct(StringComparer.OrdinalIgnoreCase)
+                .Take(count)
+                .ToArray();
+
+            Log.Debug("QUERY Expanded '{Query}' -> [{Queries}]", query, string.Join(" | ", queries));
+            return queries;
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            Log.Error("QUERY Expansion failed, searching the original query only. Exception {message}", ex.Message);
+            return [];
+        }
+    }
+
+    // Keep the most recent turns that fit both the turn window and the (approximate, ~4 chars/token) token budget
+    private string BuildTranscript(IReadOnlyList<ChatTurn> history)
+    {
+        if (history is null || history.Count == 0 || _ragSettings.HistoryMaxTurns <= 0)
+        {
+            return string.Empty;
+        }
+
+        var budget = _ragSettings.HistoryMaxTokens > 0 ? _ragSettings.HistoryMaxTokens : int.MaxValue;
+        var lines = new List<string>();
+
+        foreach (var turn in history
+                     .Where(t => !string.IsNullOrWhiteSpace(t?.Content))
+                     .TakeLast(_ragSettings.HistoryMaxTurns * 2)
+                     .Reverse())
+        {
+            var role = string.Equals(turn.Role, "user", StringComparison.OrdinalIgnoreCase) ? "User" : "Assistant";
+            var line = $"{role}: {turn.Content!.Trim()}";
+            var cost = (line.Length + 3) / 4;
+            if (cost > budget) break;
+
+            budget -= cost;
+            lines.Add(line);
+        }
+
+        lines.Reverse();
+        return string.Join('\n', lines);
+    }
+}
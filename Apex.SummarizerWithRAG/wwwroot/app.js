@@ -1,33 +1,440 @@
-﻿class ChatbotApp {
+﻿// localStorage key remembering which conversation to reopen on load
+const ACTIVE_CONVERSATION_KEY = 'apex.activeConversationId';
+
+// localStorage keys for collection choices: the active one, user-created (still empty) ones, and extra search scopes
+const COLLECTION_KEY = 'apex.collection';
+const CUSTOM_COLLECTIONS_KEY = 'apex.collections';
+const SEARCH_COLLECTIONS_KEY = 'apex.searchCollections';
+
+// localStorage key mapping a file fingerprint to its unfinished chunked upload (resumed after a reload)
+const UPLOAD_SESSIONS_KEY = 'apex.uploadSessions';
+
+// localStorage key for the advanced retrieval overrides (limit, minRelevance, maxTokens, temperature)
+const RETRIEVAL_KEY = 'apex.retrieval';
+
+// Retrieval/grounding switches: checkbox id (= request property and /settings/retrieval default) -> localStorage key.
+// A switch the user never touched is not sent, so the server default applies.
+const RETRIEVAL_TOGGLES = {
+    rerank: 'apex.rerank',                     // let the model reorder the best retrieved chunks
+    expandQuery: 'apex.expandQuery',           // also search model-written paraphrases/sub-questions of the question
+    refuseUngrounded: 'apex.refuseUngrounded', // reply "I don't know" when retrieval is too weak
+    judgeClaims: 'apex.judgeClaims'            // let the model re-check sentences no cited chunk supports
+};
+
+// localStorage key for the retrieval strategy (vector, keyword or hybrid); absent means the server default
+const RETRIEVAL_STRATEGY_KEY = 'apex.retrievalStrategy';
+
+// localStorage key for the document summary options (style + length)
+const SUMMARY_OPTIONS_KEY = 'apex.summaryOptions';
+
+// localStorage key for the chosen answer style: { id, language } (prompt templates come from GET /prompts)
+const PROMPT_TEMPLATE_KEY = 'apex.promptTemplate';
+
+// Advanced retrieval fields: input id -> request property and client-side bounds (the server clamps again)
+const RETRIEVAL_FIELDS = {
+    retrievalLimit: { key: 'limit', min: 1, max: 500, integer: true },
+    retrievalMinRelevance: { key: 'minRelevance', min: 0, max: 1 },
+    retrievalMaxTokens: { key: 'maxTokens', min: 16, max: 32768, integer: true },
+    retrievalTemperature: { key: 'temperature', min: 0, max: 2 }
+};
+
+// IndexedDB persistence for chat conversations and their messages
+class ConversationStore {
+    constructor(dbName = 'apex-chat', version = 1) {
+        this.dbName = dbName;
+        this.version = version;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const req = indexedDB.open(this.dbName, this.version);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains('conversations')) {
+                    const conversations = db.createObjectStore('conversations', { keyPath: 'id' });
+                    conversations.createIndex('updatedAt', 'updatedAt');
+                }
+                if (!db.objectStoreNames.contains('messages')) {
+                    const messages = db.createObjectStore('messages', { keyPath: 'id', autoIncrement: true });
+                    messages.createIndex('conversationId', 'conversationId');
+                }
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+
+        // allow a later retry if opening failed (e.g. blocked upgrade)
+        this.dbPromise.catch(() => { this.dbPromise = null; });
+        return this.dbPromise;
+    }
+
+    // Run fn(stores) in one transaction; resolves once it commits, with the result of the IDBRequest fn returns (if any)
+    async run(storeNames, mode, fn) {
+        const db = await this.open();
+        const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(names, mode);
+            const stores = Object.fromEntries(names.map(n => [n, tx.objectStore(n)]));
+
+            let result;
+            const request = fn(stores);
+            if (request instanceof IDBRequest) {
+                request.onsuccess = () => { result = request.result; };
+            }
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    newId() {
+        return (typeof crypto !== 'undefined' && crypto.randomUUID)
+            ? crypto.randomUUID()
+            : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    async listConversations() {
+        const all = await this.run('conversations', 'readonly', ({ conversations }) => conversations.getAll());
+        return (all || []).sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+    }
+
+    async getConversation(id) {
+        if (!id) return null;
+        return (await this.run('conversations', 'readonly', ({ conversations }) => conversations.get(id))) || null;
+    }
+
+    async createConversation(fields = {}) {
+        const now = new Date().toISOString();
+        const conversation = { id: this.newId(), title: 'New conversation', createdAt: now, updatedAt: now, ...fields };
+        await this.run('conversations', 'readwrite', ({ conversations }) => conversations.put(conversation));
+        return conversation;
+    }
+
+    async updateConversation(id, patch) {
+        let updated = null;
+        await this.run('conversations', 'readwrite', ({ conversations }) => {
+            conversations.get(id).onsuccess = (e) => {
+                const current = e.target.result;
+                if (!current) return;
+                // updatedAt tracks conversation activity (new messages), not metadata edits
+                updated = { ...current, ...patch };
+                conversations.put(updated);
+            };
+        });
+        return updated;
+    }
+
+    // Append a message and bump the conversation's updatedAt in the same transaction
+    // Resolves with the new message id (the key is generated, so any incoming id is dropped)
+    async addMessage(conversationId, message) {
+        const { id, ...fields } = message;
+        return this.run(['messages', 'conversations'], 'readwrite', ({ messages, conversations }) => {
+            conversations.get(conversationId).onsuccess = (e) => {
+                const current = e.target.result;
+                if (current) conversations.put({ ...current, updatedAt: new Date().toISOString() });
+            };
+            return messages.add({ ...fields, conversationId });
+        });
+    }
+
+    async updateMessage(id, patch) {
+        await this.run('messages', 'readwrite', ({ messages }) => {
+            messages.get(id).onsuccess = (e) => {
+                const current = e.target.result;
+                if (current) messages.put({ ...current, ...patch, id });
+            };
+        });
+    }
+
+    // Messages in insertion order (auto-increment keys)
+    async getMessages(conversationId) {
+        const all = await this.run('messages', 'readonly', ({ messages }) =>
+            messages.index('conversationId').getAll(IDBKeyRange.only(conversationId)));
+        return (all || []).sort((a, b) => a.id - b.id);
+    }
+
+    async deleteConversation(id) {
+        await this.run(['messages', 'conversations'], 'readwrite', ({ messages, conversations }) => {
+            conversations.delete(id);
+            messages.index('conversationId').openKeyCursor(IDBKeyRange.only(id)).onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+                messages.delete(cursor.primaryKey);
+                cursor.continue();
+            };
+        });
+    }
+}
+
+// Marker identifying our JSON export, checked on re-import
+const EXPORT_FORMAT = 'apex-chat';
+const EXPORT_VERSION = 1;
+
+// Serializes an exported conversation to Markdown (footnote references), self-contained HTML or JSON.
+// `data` is the shape produced by ChatbotApp.buildExportData().
+class ConversationExporter {
+    toJson(data) {
+        return JSON.stringify(data, null, 2);
+    }
+
+    toMarkdown(data) {
+        const lines = [`# ${data.conversation.title || 'Conversation'}`, '', `_Exported ${data.exportedAt}_`, ''];
+        const footnotes = [];
+
+        data.messages.forEach(m => {
+            lines.push(`### ${m.role === 'user' ? 'User' : 'Assistant'}`);
+            lines.push(`<sub>${this.describeMessage(m)}</sub>`, '');
+            lines.push(m.content || '', '');
+
+            const refs = this.flattenCitations(m.citations);
+            if (refs.length > 0) {
+                const marks = refs.map(r => {
+                    footnotes.push(r);
+                    return `[^${footnotes.length}]`;
+                });
+                lines.push(`_${this.describeKm(m.km)}_ ${marks.join(' ')}`, '');
+            }
+        });
+
+        if (footnotes.length > 0) {
+            lines.push('---', '');
+            footnotes.forEach((r, i) => {
+                const snippet = r.text ? ` "${this.truncate(r.text, 300)}"` : '';
+                lines.push(`[^${i + 1}]: **${r.source}** (${this.describeChunk(r)})${snippet}`);
+            });
+            lines.push('');
+        }
+
+        return lines.join('\n');
+    }
+
+    // renderMarkdown(el, content) is the app's sanitizing renderer, so answers keep their formatting
+    toHtml(data, renderMarkdown) {
+        const esc = (t) => this.escapeHtml(t);
+        const footnotes = [];
+
+        const messages = data.messages.map(m => {
+            const body = document.createElement('div');
+            renderMarkdown(body, m.content || '');
+
+            const refs = this.flattenCitations(m.citations);
+            const marks = refs.map(r => {
+                footnotes.push(r);
+                const n = footnotes.length;
+                return `<sup><a href="#ref-${n}">[${n}]</a></sup>`;
+            }).join(' ');
+
+            return `
+    <section class="msg msg--${m.role === 'user' ? 'user' : 'assistant'}">
+        <div class="msg__who">${m.role === 'user' ? 'User' : 'Assistant'}</div>
+        <div class="msg__body">${body.innerHTML}</div>
+        <div class="msg__meta">${esc(this.describeMessage(m))}${refs.length ? ` &bull; ${esc(this.describeKm(m.km))} ${marks}` : ''}</div>
+    </section>`;
+        }).join('\n');
+
+        const refs = footnotes.map((r, i) => `
+        <li id="ref-${i + 1}"><strong>${esc(r.source)}</strong> <span class="ref__meta">(${esc(this.describeChunk(r))})</span>${r.text ? `<blockquote>${esc(this.truncate(r.text, 600))}</blockquote>` : ''}</li>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${esc(data.conversation.title || 'Conversation')}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 860px; margin: 32px auto; padding: 0 16px; color: #13343b; line-height: 1.5; }
+    h1 { font-size: 22px; }
+    .exported { color: #626c71; font-size: 12px; }
+    .msg { border: 1px solid rgba(94, 82, 64, 0.2); border-radius: 10px; padding: 12px 16px; margin: 12px 0; }
+    .msg--user { background: rgba(33, 128, 141, 0.06); }
+    .msg__who { font-weight: 600; font-size: 13px; margin-bottom: 4px; }
+    .msg__meta, .ref__meta { color: #626c71; font-size: 11px; }
+    blockquote { margin: 4px 0 12px; padding-left: 10px; border-left: 3px solid rgba(94, 82, 64, 0.2); color: #626c71; font-size: 12px; }
+    pre { background: rgba(94, 82, 64, 0.08); padding: 8px; overflow: auto; }
+</style>
+</head>
+<body>
+    <h1>${esc(data.conversation.title || 'Conversation')}</h1>
+    <div class="exported">Exported ${esc(data.exportedAt)}</div>
+${messages}
+${footnotes.length ? `    <h2>References</h2>\n    <ol>${refs}\n    </ol>` : ''}
+</body>
+</html>
+`;
+    }
+
+    // One entry per cited chunk, in citation order
+    flattenCitations(citations) {
+        const out = [];
+        (citations || []).forEach(c => {
+            const docId = c.DocumentId || c.documentId || '';
+            const source = c.SourceName || c.sourceName || docId || c.Link || c.link || 'Unknown source';
+            const parts = Array.isArray(c.Partitions) ? c.Partitions
+                        : Array.isArray(c.partitions) ? c.partitions
+                        : [];
+            parts.forEach(p => out.push({
+                source,
+                documentId: docId,
+                partition: p.PartitionNumber ?? p.partitionNumber,
+                section: p.SectionNumber ?? p.sectionNumber,
+                relevance: p.Relevance ?? p.relevance,
+                text: p.Text ?? p.text ?? ''
+            }));
+        });
+        return out;
+    }
+
+    describeMessage(m) {
+        const bits = [m.timestamp, `Model: ${m.model || 'default'}`];
+        if (m.cancelled) bits.push('cancelled');
+        if (m.error) bits.push('error');
+        return bits.filter(Boolean).join(' • ');
+    }
+
+    describeKm(km) {
+        const docs = km?.docIds?.length || 0;
+        const chunks = km?.chunkCount || 0;
+        return `Refs: ${docs} doc${docs === 1 ? '' : 's'} (${chunks} chunk${chunks === 1 ? '' : 's'})`;
+    }
+
+    describeChunk(r) {
+        const bits = [];
+        if (r.documentId) bits.push(r.documentId);
+        if (Number.isFinite(r.partition)) bits.push(`chunk #${r.partition}`);
+        if (Number.isFinite(r.section) && r.section > 0) bits.push(`p.${r.section}`);
+        if (typeof r.relevance === 'number' && isFinite(r.relevance)) bits.push(`relevance ${r.relevance.toFixed(3)}`);
+        return bits.join(', ');
+    }
+
+    truncate(text, len) {
+        const s = (text || '').trim().replace(/\s+/g, ' ');
+        return s.length > len ? s.slice(0, len) + '…' : s;
+    }
+
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Slash commands typed in the message input ("/name arguments"). A command is
+// { name, usage, description, run(app, args), complete?(app, partial) -> [{ value, hint }] };
+// run() may return false to keep the input (e.g. missing arguments).
+// New commands only need register(), e.g. app.commands.register({ name: 'ping', run: (app) => app.showToast('pong') }).
+class SlashCommandRegistry {
+    constructor() {
+        this.commands = new Map();
+    }
+
+    register(command) {
+        if (!command?.name || typeof command.run !== 'function') {
+            throw new Error('A slash command needs a name and a run(app, args) function');
+        }
+        this.commands.set(command.name.toLowerCase(), command);
+        return this;
+    }
+
+    get(name) {
+        return this.commands.get((name || '').toLowerCase()) || null;
+    }
+
+    // Commands whose name starts with the typed prefix, alphabetically
+    match(prefix) {
+        const lower = (prefix || '').toLowerCase();
+        return Array.from(this.commands.values())
+            .filter(c => c.name.toLowerCase().startsWith(lower))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // "/name args" -> { command, args } when the name is registered, otherwise null (sent as a normal question)
+    parse(text) {
+        const match = (text || '').trim().match(/^\/(\S+)(?:\s+([\s\S]*))?$/);
+        if (!match) return null;
+
+        const command = this.get(match[1]);
+        return command ? { command, args: (match[2] || '').trim() } : null;
+    }
+}
+
+class ChatbotApp {
     constructor() {
         this.settings = {
-            apiEndpoint: '/search'
+            apiEndpoint: '/search',
+            streamEndpoint: '/search/stream',
+            collection: 'Public',
+            historyTurns: 3,          // user/assistant pairs sent as conversational context
+            historyTokenBudget: 1500, // approximate token cap for that context (~4 chars per token)
+            statusPollMs: 2000,       // how often to poll ingestion status of freshly uploaded documents
+            uploadConcurrency: 3,     // files uploaded in parallel
+            chunkedUploadThreshold: 8 * 1024 * 1024, // larger files use resumable chunked uploads
+            chunkRetries: 3,          // attempts per chunk before the file is marked failed
+            viewerPageSize: 10,       // partitions per page in the document viewer
+            maxCompareModels: 3       // compare mode sends one question to up to this many models
         };
-        this.uploadedFiles = []; // pending files (not yet uploaded)
+        this.uploadedFiles = []; // pending files (queued, uploading or failed); removed once uploaded
 
         // Canonical: server-driven documents keyed by documentId
         this.indexedDocs = new Map();        // docId -> { name, index }
+        this.promptTemplates = [];           // { id, name, description, usesLanguage } from GET /prompts
+        this.selectedDocs = new Set();       // docIds ticked in the indexed list (question scope, compare selected)
+        this.suggestions = null;             // open input autocomplete (slash commands, @mentions): { items, end, active }
+
+        // Ingestion progress of freshly uploaded documents (polled until ready or failed)
+        this.ingestionStatus = new Map();    // docId -> { state: 'pending' | 'ready' | 'failed', steps, completed, remaining }
+        this.statusPollers = new Map();      // docId -> timeout id
 
         this.chatHistory = [];
         this.isSending = false; // prevent double send
+        this.abortController = null; // cancels the in-flight question (Stop button)
+        this.compareModels = [];     // models ticked for compare mode (2+ switches it on)
+        this.searchMode = false;     // retrieval only: list matching chunks instead of generating an answer
 
         // Track active citations popup
         this.activeCitationsPopup = null;
 
+        // Conversation persistence (IndexedDB); the active conversation is created lazily on its first message
+        this.conversationStore = new ConversationStore();
+        this.conversationExporter = new ConversationExporter();
+        this.conversationId = null;
+        this.isRestoring = false;               // replaying stored messages; skip re-saving them
+        this.persistQueue = Promise.resolve();  // keeps message writes in order
+
+        // Slash commands ("/help" lists them)
+        this.commands = new SlashCommandRegistry();
+        this.registerDefaultCommands();
+
         this.initializeElements();
         this.initializeEventListeners();
         this.loadSettings();
         this.updateConnectionStatus();
 
         // Initial fetch from server
+        this.loadCollections();
+        this.loadPromptTemplates();
         this.refreshIndexedFromServer().finally(() => {
             this.renderFileLists();
         });
+
+        this.restoreLastConversation();
     }
 
     async refreshIndexedFromServer() {
+        const collection = this.settings.collection;
         try {
-            const resp = await fetch('/indexed', { headers: { 'Accept': 'application/json' } });
+            const resp = await fetch(`/indexed?${new URLSearchParams({ collection }).toString()}`, { headers: { 'Accept': 'application/json' } });
             if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
             const payload = await resp.json();
 
@@ -38,7 +445,13 @@
                 : Array.isArray(payload.Items) ? payload.Items
                 : [];
 
+            // An empty answer for the same collection may just mean "not indexed yet"; keep what we have.
+            // After switching collections, the previous collection's documents must go.
+            const switched = this.indexedCollection !== collection;
+            this.indexedCollection = collection;
+
             if (list.length === 0) {
+                if (switched) this.indexedDocs.clear();
                 return;
             }
 
@@ -64,14 +477,51 @@
         // Main elements
         this.chatMessages = document.getElementById('chatMessages');
         this.messageInput = document.getElementById('messageInput');
+        this.defaultPlaceholder = this.messageInput?.placeholder || '';
         this.sendBtn = document.getElementById('sendBtn');
+        this.stopBtn = document.getElementById('stopBtn');
         this.typingIndicator = document.getElementById('typingIndicator');
 
         // Settings elements
         this.settingsPanel = document.getElementById('settingsPanel');
         this.settingsToggle = document.getElementById('settingsToggle');
         this.modelSelect = document.getElementById('model');
+        this.collectionSelect = document.getElementById('collection');
+        this.newCollectionBtn = document.getElementById('newCollectionBtn');
+        this.searchCollectionsContainer = document.getElementById('searchCollections');
+        this.compareModelsContainer = document.getElementById('compareModels');
+        this.searchModeBtn = document.getElementById('searchModeBtn');
+        this.scopeChips = document.getElementById('scopeChips');
+        this.suggestionMenu = document.getElementById('suggestionMenu');
+        this.retrievalInputs = Object.fromEntries(Object.keys(RETRIEVAL_FIELDS).map(id => [id, document.getElementById(id)]));
+        this.retrievalResetBtn = document.getElementById('retrievalReset');
+        this.retrievalStrategySelect = document.getElementById('retrievalStrategy');
+        this.toggleInputs = Object.fromEntries(Object.keys(RETRIEVAL_TOGGLES).map(id => [id, document.getElementById(id)]));
+        this.summaryStyleSelect = document.getElementById('summaryStyle');
+        this.summaryLengthSelect = document.getElementById('summaryLength');
+        this.promptTemplateSelect = document.getElementById('promptTemplate');
+        this.answerLanguageInput = document.getElementById('answerLanguage');
+        this.promptTemplateHint = document.getElementById('promptTemplateHint');
+
+        // Document viewer
+        this.documentViewer = document.getElementById('documentViewer');
+        this.documentViewerTitle = document.getElementById('documentViewerTitle');
+        this.documentViewerBody = document.getElementById('documentViewerBody');
+        this.documentViewerPrev = document.getElementById('documentViewerPrev');
+        this.documentViewerNext = document.getElementById('documentViewerNext');
+        this.documentViewerPageInfo = document.getElementById('documentViewerPageInfo');
+        this.documentViewerClose = document.getElementById('documentViewerClose');
         this.clearChatBtn = document.getElementById('clearChat');
+
+        // Conversation sidebar
+        this.conversationList = document.getElementById('conversationList');
+        this.conversationSearch = document.getElementById('conversationSearch');
+        this.newConversationBtn = document.getElementById('newConversationBtn');
+
+        // Export / import
+        this.exportBtn = document.getElementById('exportBtn');
+        this.exportMenu = document.getElementById('exportMenu');
+        this.importInput = document.getElementById('importInput');
         this.clearLocalFilesBtn = document.getElementById('clearLocalFiles');
 
         // Hide "Clear Local Files" (no local persistence now)
@@ -99,10 +549,17 @@
             this.messageInput.addEventListener('keydown', (e) => this.handleKeyDown(e));
             // Auto-resize textarea
             this.messageInput.addEventListener('input', () => this.autoResizeTextarea());
+            // slash command / @mention autocomplete follows the caret
+            this.messageInput.addEventListener('input', () => this.updateSuggestions());
+            this.messageInput.addEventListener('click', () => this.updateSuggestions());
+            this.messageInput.addEventListener('blur', () => this.closeSuggestions());
         }
         if (this.sendBtn) {
             this.sendBtn.addEventListener('click', () => this.sendMessage());
         }
+        if (this.stopBtn) {
+            this.stopBtn.addEventListener('click', () => this.stopGeneration());
+        }
 
         // Settings
         if (this.settingsToggle) {
@@ -110,10 +567,86 @@
         }
         if (this.modelSelect) {
             this.modelSelect.addEventListener('change', () => this.updateSettings());
+            // fired by the model loader in index.html once /models has populated the options
+            this.modelSelect.addEventListener('modelsloaded', () => {
+                this.applyModelSelection();
+                this.renderCompareModels();
+            });
+        }
+        if (this.documentViewer) {
+            this.documentViewerClose?.addEventListener('click', () => this.closeDocumentViewer());
+            this.documentViewerPrev?.addEventListener('click', () => this.loadDocumentPage(this.viewer.page - 1));
+            this.documentViewerNext?.addEventListener('click', () => this.loadDocumentPage(this.viewer.page + 1));
+            this.documentViewer.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') this.closeDocumentViewer();
+            });
+        }
+        if (this.searchModeBtn) {
+            this.searchModeBtn.addEventListener('click', () => this.toggleSearchMode());
+        }
+        for (const input of Object.values(this.retrievalInputs)) {
+            input?.addEventListener('change', () => this.saveRetrievalOverrides());
+        }
+        if (this.retrievalResetBtn) {
+            this.retrievalResetBtn.addEventListener('click', () => this.resetRetrievalOverrides());
+        }
+        for (const [id, key] of Object.entries(RETRIEVAL_TOGGLES)) {
+            const input = this.toggleInputs[id];
+            input?.addEventListener('change', () => localStorage.setItem(key, String(input.checked)));
+        }
+        this.retrievalStrategySelect?.addEventListener('change', () => {
+            const strategy = this.retrievalStrategySelect.value;
+            if (strategy) localStorage.setItem(RETRIEVAL_STRATEGY_KEY, strategy);
+            else localStorage.removeItem(RETRIEVAL_STRATEGY_KEY);
+        });
+        for (const select of [this.summaryStyleSelect, this.summaryLengthSelect]) {
+            select?.addEventListener('change', () => this.saveSummaryOptions());
+        }
+        this.promptTemplateSelect?.addEventListener('change', () => this.savePromptTemplate());
+        this.answerLanguageInput?.addEventListener('change', () => this.savePromptTemplate());
+        if (this.collectionSelect) {
+            this.collectionSelect.addEventListener('change', () => this.setActiveCollection(this.collectionSelect.value));
+        }
+        if (this.newCollectionBtn) {
+            this.newCollectionBtn.addEventListener('click', () => this.createCollection());
         }
         if (this.clearChatBtn) {
             this.clearChatBtn.addEventListener('click', () => this.clearChat());
         }
+        if (this.newConversationBtn) {
+            this.newConversationBtn.addEventListener('click', () => this.clearChat());
+        }
+        if (this.conversationSearch) {
+            this.conversationSearch.addEventListener('input', () => this.renderConversationList({ reload: false }));
+        }
+
+        // Export menu
+        if (this.exportBtn && this.exportMenu) {
+            this.exportBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleExportMenu();
+            });
+            this.exportMenu.addEventListener('click', (e) => {
+                const btn = e.target.closest('button');
+                if (!btn) return;
+                this.toggleExportMenu(false);
+                if (btn.dataset.export) {
+                    this.exportConversation(btn.dataset.export);
+                } else if (btn.dataset.import !== undefined) {
+                    this.importInput?.click();
+                }
+            });
+            document.addEventListener('click', (e) => {
+                if (!this.exportMenu.contains(e.target)) this.toggleExportMenu(false);
+            });
+        }
+        if (this.importInput) {
+            this.importInput.addEventListener('change', async (e) => {
+                const file = e.target.files?.[0];
+                e.target.value = '';
+                if (file) await this.importConversation(file);
+            });
+        }
 
         // File upload
         if (this.fileUploadBtn) {
@@ -163,131 +696,906 @@
         if (this.modelSelect) {
             this.modelSelect.value = this.settings.model;
         }
+
+        this.loadRetrievalOverrides();
+        this.loadSummaryOptions();
+
+        this.settings.collection = localStorage.getItem(COLLECTION_KEY) || this.settings.collection;
+        try {
+            const extra = JSON.parse(localStorage.getItem(SEARCH_COLLECTIONS_KEY) || '[]');
+            this.settings.searchCollections = Array.isArray(extra) ? extra : [];
+        } catch {
+            this.settings.searchCollections = [];
+        }
     }
 
     updateSettings() {
         this.settings.model = this.modelSelect.value;
         this.updateConnectionStatus();
-    }
 
-    toggleSettings() {
-        if (window.innerWidth <= 768) {
-            this.settingsPanel.classList.toggle('open');
+        // remember the model choice per conversation
+        if (this.conversationId) {
+            this.conversationStore.updateConversation(this.conversationId, { model: this.settings.model })
+                .catch(e => console.warn('Failed to save conversation model:', e));
         }
     }
 
-    updateConnectionStatus() {
-        const isValidUrl = this.isValidUrl(this.settings.apiEndpoint);
-        this.connectionStatus.className = `status ${isValidUrl ? 'status--success' : 'status--error'}`;
-        this.connectionStatus.innerHTML = `
-            <div class="status-dot"></div>
-            ${isValidUrl ? 'Ready' : 'Invalid URL'}
-        `;
-    }
-
-    isValidUrl(value) {
+    // Known collections = server tags + ones created here that have no documents yet
+    async loadCollections() {
+        let serverCollections = [];
         try {
-            if (typeof value === 'string' && value.startsWith('/')) return true;
-            new URL(value);
-            return true;
-        } catch {
-            return false;
+            const resp = await fetch('/collections', { headers: { 'Accept': 'application/json' } });
+            if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+            const payload = await resp.json();
+            serverCollections = Array.isArray(payload) ? payload : [];
+        } catch (e) {
+            console.warn('Failed to fetch collections:', e);
         }
-    }
 
-    handleInputChange() {
-        const hasText = this.messageInput.value.trim().length > 0;
-        this.sendBtn.disabled = !hasText || this.isSending;
+        let custom = [];
+        try {
+            custom = JSON.parse(localStorage.getItem(CUSTOM_COLLECTIONS_KEY) || '[]');
+        } catch { /* ignore */ }
+
+        const seen = new Set();
+        this.collections = [this.settings.collection, 'Public', ...serverCollections, ...(Array.isArray(custom) ? custom : [])]
+            .filter(c => typeof c === 'string' && c.trim())
+            .filter(c => {
+                const key = c.toLowerCase();
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+
+        this.renderCollections();
     }
 
-    handleKeyDown(e) {
-        if (e.key === 'Enter' && !e.shiftKey) {
-            e.preventDefault();
-            if (!this.sendBtn.disabled) {
-                this.sendMessage();
-            }
+    renderCollections() {
+        const collections = this.collections || [this.settings.collection];
+
+        if (this.collectionSelect) {
+            this.collectionSelect.replaceChildren(...collections.map(c => {
+                const opt = document.createElement('option');
+                opt.value = c;
+                opt.textContent = c;
+                return opt;
+            }));
+            this.collectionSelect.value = this.settings.collection;
         }
-    }
 
-    autoResizeTextarea() {
-        this.messageInput.style.height = 'auto';
-        this.messageInput.style.height = Math.min(this.messageInput.scrollHeight, 120) + 'px';
+        // "Also search in": every other collection as a checkbox
+        if (this.searchCollectionsContainer) {
+            const others = collections.filter(c => c !== this.settings.collection);
+            this.searchCollectionsContainer.replaceChildren(...others.map(c => {
+                const label = document.createElement('label');
+                label.className = 'collection-check';
+                const box = document.createElement('input');
+                box.type = 'checkbox';
+                box.value = c;
+                box.checked = this.settings.searchCollections.includes(c);
+                box.addEventListener('change', () => this.toggleSearchCollection(c, box.checked));
+                label.appendChild(box);
+                label.appendChild(document.createTextNode(` ${c}`));
+                return label;
+            }));
+            this.searchCollectionsContainer.closest('.form-group')?.classList.toggle('hidden', others.length === 0);
+        }
     }
 
-    toggleFileUpload() {
-        this.fileUploadArea.classList.toggle('hidden');
+    // Switch the collection used for uploads and the indexed list (and as the primary search scope)
+    async setActiveCollection(name, { persist = true } = {}) {
+        if (!name || name === this.settings.collection) {
+            this.renderCollections();
+            return;
+        }
+
+        this.settings.collection = name;
+        this.settings.searchCollections = this.settings.searchCollections.filter(c => c !== name);
+        localStorage.setItem(COLLECTION_KEY, name);
+        localStorage.setItem(SEARCH_COLLECTIONS_KEY, JSON.stringify(this.settings.searchCollections));
+        if (!this.collections?.includes(name)) {
+            this.collections = [...(this.collections || []), name].sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+        }
+        this.renderCollections();
+
+        // remember the collection choice per conversation
+        if (persist && this.conversationId) {
+            this.conversationStore.updateConversation(this.conversationId, { collection: name })
+                .catch(e => console.warn('Failed to save conversation collection:', e));
+        }
+
+        await this.refreshIndexedFromServer();
+        this.renderFileLists();
     }
 
-    handleDragOver(e) {
-        e.preventDefault();
-        this.fileUploadArea.classList.add('dragover');
+    toggleSearchCollection(name, include) {
+        const extra = this.settings.searchCollections.filter(c => c !== name);
+        if (include) extra.push(name);
+        this.settings.searchCollections = extra;
+        localStorage.setItem(SEARCH_COLLECTIONS_KEY, JSON.stringify(extra));
     }
 
-    handleDragLeave(e) {
-        e.preventDefault();
-        this.fileUploadArea.classList.remove('dragover');
+    // Collections a question is scoped to: the active one plus any ticked "also search in" ones
+    getSearchCollections() {
+        const known = this.collections || [];
+        const extra = this.settings.searchCollections.filter(c => c !== this.settings.collection && known.includes(c));
+        return [this.settings.collection, ...extra];
     }
 
-    async handleFileDrop(e) {
-        e.preventDefault();
-        this.fileUploadArea.classList.remove('dragover');
-        const files = Array.from(e.dataTransfer.files);
-        const accepted = this.processFiles(files);
-        if (accepted.length > 0) {
-            await this.uploadFiles(accepted);
-            this.uploadedFiles = [];
-            await this.refreshIndexedFromServer();
-            this.renderFileLists();
-            this.handleInputChange();
+    createCollection() {
+        const input = prompt('New collection name');
+        if (input === null) return;
+
+        const name = input.trim();
+        if (!name || name.length > 64 || name.includes(',')) {
+            this.showToast('Collection names must be 1-64 characters and cannot contain commas', 'error');
+            return;
+        }
+
+        const existing = (this.collections || []).find(c => c.toLowerCase() === name.toLowerCase());
+        if (!existing) {
+            let custom = [];
+            try {
+                custom = JSON.parse(localStorage.getItem(CUSTOM_COLLECTIONS_KEY) || '[]');
+            } catch { /* ignore */ }
+            localStorage.setItem(CUSTOM_COLLECTIONS_KEY, JSON.stringify([...(Array.isArray(custom) ? custom : []), name]));
+            this.showToast(`Collection "${name}" created`, 'success');
         }
+
+        this.setActiveCollection(existing || name);
     }
 
-    async handleFileSelect(e) {
-        const files = Array.from(e.target.files);
-        const accepted = this.processFiles(files);
-        e.target.value = '';
-        if (accepted.length > 0) {
-            await this.uploadFiles(accepted);
-            this.uploadedFiles = [];
-            await this.refreshIndexedFromServer();
-            this.renderFileLists();
-            this.handleInputChange();
+    // Select settings.model in the dropdown if that option exists (models load asynchronously)
+    applyModelSelection() {
+        const model = this.settings.model;
+        if (!this.modelSelect || !model) return;
+        if (Array.from(this.modelSelect.options).some(o => o.value === model)) {
+            this.modelSelect.value = model;
         }
     }
 
-    processFiles(files) {
-        const supportedTypes = ['.pdf', '.doc', '.docx', '.txt', '.md', '.jpg', '.jpeg', '.png', '.gif', '.bmp', '.csv', '.xlsx', '.json'];
-        const maxSizeMB = 100;
-        const maxSize = maxSizeMB * 1024 * 1024;
-        const accepted = [];
+    // Advanced retrieval overrides: blank inputs mean "server default" (shown as placeholder)
+    loadRetrievalOverrides() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(RETRIEVAL_KEY) || '{}') || {};
+        } catch { /* ignore */ }
 
-        files.forEach(file => {
-            const fileExt = '.' + file.name.split('.').pop().toLowerCase();
+        this.retrievalOverrides = {};
+        for (const [id, field] of Object.entries(RETRIEVAL_FIELDS)) {
+            const value = this.normalizeRetrievalValue(saved[field.key], field);
+            if (value !== null) this.retrievalOverrides[field.key] = value;
+            if (this.retrievalInputs?.[id]) this.retrievalInputs[id].value = value ?? '';
+        }
+        for (const [id, key] of Object.entries(RETRIEVAL_TOGGLES)) {
+            if (this.toggleInputs?.[id]) this.toggleInputs[id].checked = localStorage.getItem(key) === 'true';
+        }
+        if (this.retrievalStrategySelect) {
+            this.retrievalStrategySelect.value = localStorage.getItem(RETRIEVAL_STRATEGY_KEY) || '';
+        }
 
-            if (!supportedTypes.includes(fileExt)) {
-                this.showToast(`File type ${fileExt} is not supported`, 'error');
-                return;
-            }
+        this.loadRetrievalDefaults();
+    }
 
-            if (file.size > maxSize) {
-                this.showToast(`File ${file.name} is too large (max ${maxSizeMB}MB)`, 'error');
-                return;
-            }
+    loadSummaryOptions() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SUMMARY_OPTIONS_KEY) || '{}') || {};
+            if (this.summaryStyleSelect && saved.style) this.summaryStyleSelect.value = saved.style;
+            if (this.summaryLengthSelect && saved.length) this.summaryLengthSelect.value = saved.length;
+        } catch { /* ignore */ }
+    }
 
-            const fileId = Date.now() + Math.random();
-            const fileData = {
-                id: fileId,
-                file: file,
-                name: file.name,
-                size: this.formatFileSize(file.size),
-                type: fileExt
-            };
+    saveSummaryOptions() {
+        localStorage.setItem(SUMMARY_OPTIONS_KEY, JSON.stringify(this.getSummaryOptions()));
+    }
 
-            this.uploadedFiles.push(fileData);
-            accepted.push(fileData);
-        });
+    getSummaryOptions() {
+        return {
+            style: this.summaryStyleSelect?.value || 'executive',
+            length: this.summaryLengthSelect?.value || 'medium'
+        };
+    }
 
-        this.renderFileLists();
+    // Answer styles: fill the picker from the server, then re-select the saved choice (falls back to the default)
+    async loadPromptTemplates() {
+        if (!this.promptTemplateSelect) return;
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(PROMPT_TEMPLATE_KEY) || '{}') || {};
+        } catch { /* ignore */ }
+        if (this.answerLanguageInput && saved.language) this.answerLanguageInput.value = saved.language;
+
+        try {
+            const resp = await fetch('/prompts', { headers: { 'Accept': 'application/json' } });
+            if (!resp.ok) throw new Error(await resp.text());
+            const templates = await resp.json();
+            this.promptTemplates = (Array.isArray(templates) ? templates : []).map(t => ({
+                id: t.id ?? t.Id,
+                name: t.name ?? t.Name,
+                description: t.description ?? t.Description ?? '',
+                usesLanguage: (t.template ?? t.Template ?? '').includes('{{$language}}')
+            }));
+        } catch (e) {
+            console.warn('Failed to load prompt templates:', e);
+            this.promptTemplates = [];
+        }
+
+        if (this.promptTemplates.length) {
+            this.promptTemplateSelect.innerHTML = '';
+            for (const t of this.promptTemplates) {
+                const opt = document.createElement('option');
+                opt.value = t.id;
+                opt.textContent = t.name || t.id;
+                if (t.description) opt.title = t.description;
+                this.promptTemplateSelect.appendChild(opt);
+            }
+        }
+        if (saved.id && this.promptTemplates.some(t => t.id === saved.id)) {
+            this.promptTemplateSelect.value = saved.id;
+        }
+        this.updatePromptTemplateHint();
+    }
+
+    savePromptTemplate() {
+        localStorage.setItem(PROMPT_TEMPLATE_KEY, JSON.stringify({
+            id: this.promptTemplateSelect?.value || '',
+            language: this.answerLanguageInput?.value.trim() || ''
+        }));
+        this.updatePromptTemplateHint();
+    }
+
+    // The language input is only shown for templates that use {{$language}}
+    updatePromptTemplateHint() {
+        const template = this.promptTemplates?.find(t => t.id === this.promptTemplateSelect?.value);
+        this.answerLanguageInput?.classList.toggle('hidden', !template?.usesLanguage);
+        if (this.promptTemplateHint) this.promptTemplateHint.textContent = template?.description || '';
+    }
+
+    // { templateId, language } sent with each question; blank values mean the server default
+    getPromptTemplate() {
+        const templateId = this.promptTemplateSelect?.value || '';
+        const template = this.promptTemplates?.find(t => t.id === templateId);
+        const language = template?.usesLanguage ? (this.answerLanguageInput?.value.trim() || '') : '';
+        return { templateId, language };
+    }
+
+    async loadRetrievalDefaults() {
+        try {
+            const resp = await fetch('/settings/retrieval', { headers: { 'Accept': 'application/json' } });
+            if (!resp.ok) return;
+            const data = await resp.json();
+            const defaults = data.defaults || data.Defaults || {};
+            for (const [id, field] of Object.entries(RETRIEVAL_FIELDS)) {
+                const input = this.retrievalInputs?.[id];
+                const value = defaults[field.key] ?? defaults[field.key[0].toUpperCase() + field.key.slice(1)];
+                if (input && value !== undefined) input.placeholder = `default: ${value}`;
+            }
+            const pick = (obj, key) => obj[key] ?? obj[key[0].toUpperCase() + key.slice(1)];
+            for (const [id, key] of Object.entries(RETRIEVAL_TOGGLES)) {
+                const input = this.toggleInputs?.[id];
+                if (input && localStorage.getItem(key) === null) input.checked = !!(pick(data, id) ?? pick(defaults, id));
+            }
+            const strategy = pick(defaults, 'strategy');
+            const defaultOption = this.retrievalStrategySelect?.querySelector('option[value=""]');
+            if (defaultOption && strategy) defaultOption.textContent = `Default (${strategy})`;
+            const maxLimit = data.maxLimit ?? data.MaxLimit;
+            const maxTokens = data.maxResponseTokens ?? data.MaxResponseTokens;
+            if (maxLimit) RETRIEVAL_FIELDS.retrievalLimit.max = maxLimit;
+            if (maxTokens) RETRIEVAL_FIELDS.retrievalMaxTokens.max = maxTokens;
+            if (this.retrievalInputs.retrievalLimit && maxLimit) this.retrievalInputs.retrievalLimit.max = maxLimit;
+            if (this.retrievalInputs.retrievalMaxTokens && maxTokens) this.retrievalInputs.retrievalMaxTokens.max = maxTokens;
+        } catch (e) {
+            console.warn('Failed to load retrieval defaults:', e);
+        }
+    }
+
+    // null for blank/invalid input; otherwise clamped (and rounded for integer fields)
+    normalizeRetrievalValue(raw, field) {
+        if (raw === null || raw === undefined || String(raw).trim() === '') return null;
+        let value = Number(raw);
+        if (!Number.isFinite(value)) return null;
+        if (field.integer) value = Math.round(value);
+        return Math.min(field.max, Math.max(field.min, value));
+    }
+
+    saveRetrievalOverrides() {
+        this.retrievalOverrides = {};
+        for (const [id, field] of Object.entries(RETRIEVAL_FIELDS)) {
+            const input = this.retrievalInputs[id];
+            if (!input) continue;
+            const value = this.normalizeRetrievalValue(input.value, field);
+            if (input.value.trim() !== '' && (value === null || String(value) !== input.value.trim())) {
+                this.showToast(value === null ? `Invalid value for ${field.key}` : `${field.key} adjusted to ${value}`, 'warning');
+            }
+            input.value = value ?? '';
+            if (value !== null) this.retrievalOverrides[field.key] = value;
+        }
+        localStorage.setItem(RETRIEVAL_KEY, JSON.stringify(this.retrievalOverrides));
+    }
+
+    resetRetrievalOverrides() {
+        for (const input of Object.values(this.retrievalInputs)) {
+            if (input) input.value = '';
+        }
+        this.retrievalOverrides = {};
+        localStorage.removeItem(RETRIEVAL_KEY);
+        for (const key of Object.values(RETRIEVAL_TOGGLES)) localStorage.removeItem(key);
+        localStorage.removeItem(RETRIEVAL_STRATEGY_KEY);
+        if (this.retrievalStrategySelect) this.retrievalStrategySelect.value = '';
+        this.loadRetrievalDefaults();
+        this.showToast('Retrieval settings reset to server defaults', 'info');
+    }
+
+    // Request body shared by send, compare and regenerate; `documentIds` restricts retrieval to those documents
+    buildSearchRequest(query, history, model, documentIds = null) {
+        const request = { query, history, collections: this.getSearchCollections(), ...this.retrievalOverrides };
+        if (model) request.model = model;
+        if (documentIds?.length) request.documentIds = documentIds;
+        const { templateId, language } = this.getPromptTemplate();
+        if (templateId) request.templateId = templateId;
+        if (language) request.language = language;
+        for (const [id, key] of Object.entries(RETRIEVAL_TOGGLES)) {
+            const value = localStorage.getItem(key);
+            if (value !== null) request[id] = value === 'true';
+        }
+        const strategy = localStorage.getItem(RETRIEVAL_STRATEGY_KEY);
+        if (strategy) request.strategy = strategy;
+        return request;
+    }
+
+    // @mentions: @[file name] or @name (no spaces), matched case-insensitively against indexed names (or ids).
+    // Returns the mentioned docIds and the text with the mentions reduced to plain names (for retrieval).
+    parseMentions(text) {
+        const documentIds = [];
+        const query = (text || '').replace(/@\[([^\]]+)\]|@([^\s@\[\]]+)/g, (token, bracketed, bare) => {
+            const label = (bracketed ?? bare).trim();
+            const docId = this.findDocumentId(label);
+            if (!docId) return token;
+            if (!documentIds.includes(docId)) documentIds.push(docId);
+            return label;
+        });
+
+        return { documentIds, query };
+    }
+
+    // Indexed document by name or id (case-insensitive); null when none matches
+    findDocumentId(label) {
+        const lower = (label || '').trim().toLowerCase();
+        if (!lower) return null;
+
+        for (const [docId, { name }] of this.indexedDocs.entries()) {
+            if ((name || '').toLowerCase() === lower || docId.toLowerCase() === lower) return docId;
+        }
+        return null;
+    }
+
+    // Documents the next question is restricted to: ticked files plus @mentions in the message
+    resolveScope(text) {
+        const { documentIds, query } = this.parseMentions(text);
+        const ids = [...new Set([...this.selectedDocs, ...documentIds])].filter(id => this.indexedDocs.has(id));
+        return { documentIds: ids, query };
+    }
+
+    // Chips above the input showing the active scope; x unticks a file or removes a mention
+    renderScopeChips() {
+        if (!this.scopeChips) return;
+
+        const mentioned = this.parseMentions(this.messageInput?.value).documentIds;
+        const ids = [...new Set([...this.selectedDocs, ...mentioned])].filter(id => this.indexedDocs.has(id));
+        this.scopeChips.classList.toggle('hidden', ids.length === 0);
+        if (ids.length === 0) {
+            this.scopeChips.replaceChildren();
+            return;
+        }
+
+        const label = document.createElement('span');
+        label.className = 'scope-chips__label';
+        label.textContent = 'Only search in:';
+
+        const chips = ids.map(docId => {
+            const name = this.indexedDocs.get(docId).name || docId;
+            const fromMention = !this.selectedDocs.has(docId);
+            const chip = document.createElement('span');
+            chip.className = `scope-chip${fromMention ? ' scope-chip--mention' : ''}`;
+            chip.title = fromMention ? 'Mentioned in the message' : 'Ticked in the file list';
+            chip.textContent = fromMention ? `@${name}` : name;
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'scope-chip__remove';
+            remove.title = 'Remove from scope';
+            remove.innerHTML = '&times;';
+            remove.addEventListener('click', () => this.removeFromScope(docId));
+            chip.appendChild(remove);
+            return chip;
+        });
+
+        this.scopeChips.replaceChildren(label, ...chips);
+    }
+
+    removeFromScope(docId) {
+        if (this.selectedDocs.delete(docId)) {
+            this.renderIndexedFiles();
+        }
+
+        // drop mentions of the document from the draft
+        const { name } = this.indexedDocs.get(docId) || {};
+        const labels = [name, docId].filter(Boolean).map(l => l.toLowerCase());
+        this.messageInput.value = this.messageInput.value
+            .replace(/@\[([^\]]+)\]\s?|@([^\s@\[\]]+)\s?/g, (token, bracketed, bare) =>
+                labels.includes((bracketed ?? bare).trim().toLowerCase()) ? '' : token);
+        this.handleInputChange();
+        this.autoResizeTextarea();
+    }
+
+    // Autocomplete popover for the input: slash commands (then their arguments) at the start, @mentions anywhere.
+    // Items are { label, hint, title, start, text }: choosing one replaces value[start..caret] with text.
+    updateSuggestions() {
+        if (!this.suggestionMenu) return;
+
+        const caret = this.messageInput.selectionStart;
+        const before = this.messageInput.value.slice(0, caret);
+        const items = before.startsWith('/') && !before.includes('\n')
+            ? this.commandSuggestions(before)
+            : this.mentionSuggestions(before);
+        if (items.length === 0) {
+            this.closeSuggestions();
+            return;
+        }
+
+        this.suggestions = { items, end: caret, active: 0 };
+        this.renderSuggestions();
+    }
+
+    commandSuggestions(before) {
+        const space = before.search(/\s/);
+        if (space < 0) {
+            return this.commands.match(before.slice(1)).map(c => ({
+                label: c.usage || `/${c.name}`,
+                hint: c.description || '',
+                start: 0,
+                text: `/${c.name} `
+            }));
+        }
+
+        const command = this.commands.get(before.slice(1, space));
+        if (!command?.complete) return [];
+
+        const partial = before.slice(space).trimStart();
+        const start = before.length - partial.length;
+        return (command.complete(this, partial) || []).slice(0, 8).map(({ value, hint }) => ({
+            label: value,
+            hint: hint || '',
+            start,
+            text: value
+        }));
+    }
+
+    mentionSuggestions(before) {
+        const match = before.match(/(^|\s)@(\[[^\]]*|[^\s@\[\]]*)$/);
+        if (!match) return [];
+
+        const start = before.length - match[2].length - 1;
+        return this.completeDocuments(match[2].replace(/^\[/, '')).map(({ value, hint }) => ({
+            label: value,
+            title: hint,
+            start,
+            text: `@[${value}] `
+        }));
+    }
+
+    // Indexed document names containing `partial` (argument/mention completion)
+    completeDocuments(partial) {
+        const term = (partial || '').toLowerCase();
+        return Array.from(this.indexedDocs.entries())
+            .filter(([docId, { name }]) => (name || docId).toLowerCase().includes(term))
+            .slice(0, 8)
+            .map(([docId, { name }]) => ({ value: name || docId, hint: docId }));
+    }
+
+    renderSuggestions() {
+        const { items, active } = this.suggestions;
+        this.suggestionMenu.replaceChildren(...items.map((item, i) => {
+            const option = document.createElement('button');
+            option.type = 'button';
+            option.className = `suggestion-menu__item${i === active ? ' suggestion-menu__item--active' : ''}`;
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', String(i === active));
+            if (item.title) option.title = item.title;
+
+            const label = document.createElement('span');
+            label.className = 'suggestion-menu__label';
+            label.textContent = item.label;
+            option.appendChild(label);
+            if (item.hint) {
+                const hint = document.createElement('span');
+                hint.className = 'suggestion-menu__hint';
+                hint.textContent = item.hint;
+                option.appendChild(hint);
+            }
+
+            // keep focus in the textarea
+            option.addEventListener('mousedown', (e) => e.preventDefault());
+            option.addEventListener('click', () => this.applySuggestion(i));
+            return option;
+        }));
+        this.suggestionMenu.classList.remove('hidden');
+    }
+
+    applySuggestion(i) {
+        const { items, end } = this.suggestions;
+        const { start, text } = items[i];
+        const value = this.messageInput.value;
+
+        this.messageInput.value = value.slice(0, start) + text + value.slice(end);
+        const caret = start + text.length;
+        this.messageInput.setSelectionRange(caret, caret);
+        this.closeSuggestions();
+        this.handleInputChange();
+        this.autoResizeTextarea();
+
+        // a completed command name goes straight on to its argument list
+        this.updateSuggestions();
+    }
+
+    closeSuggestions() {
+        this.suggestions = null;
+        this.suggestionMenu?.classList.add('hidden');
+    }
+
+    // Arrow keys / Enter / Tab / Escape while the suggestions are open; true when the key was consumed.
+    // Enter on a suggestion that is already typed out falls through, so it sends.
+    handleSuggestionKey(e) {
+        const { items, end } = this.suggestions;
+        const count = items.length;
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                this.suggestions.active = (this.suggestions.active + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+                this.renderSuggestions();
+                break;
+            case 'Enter': {
+                if (e.shiftKey) return false;
+                const { start, text } = items[this.suggestions.active];
+                if (this.messageInput.value.slice(start, end).trim() === text.trim()) {
+                    this.closeSuggestions();
+                    return false;
+                }
+                this.applySuggestion(this.suggestions.active);
+                break;
+            }
+            case 'Tab':
+                this.applySuggestion(this.suggestions.active);
+                break;
+            case 'Escape':
+                this.closeSuggestions();
+                break;
+            default:
+                return false;
+        }
+        e.preventDefault();
+        return true;
+    }
+
+    availableModels() {
+        return Array.from(this.modelSelect?.options || []).map(o => o.value).filter(Boolean);
+    }
+
+    // Compare mode checkboxes: ticking 2-3 models sends each question to all of them
+    renderCompareModels() {
+        if (!this.compareModelsContainer) return;
+
+        const models = this.availableModels();
+        this.compareModels = this.compareModels.filter(m => models.includes(m));
+        const full = this.compareModels.length >= this.settings.maxCompareModels;
+
+        this.compareModelsContainer.replaceChildren(...models.map(model => {
+            const label = document.createElement('label');
+            label.className = 'collection-check';
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.value = model;
+            box.checked = this.compareModels.includes(model);
+            box.disabled = full && !box.checked;
+            box.addEventListener('change', () => {
+                this.compareModels = box.checked
+                    ? [...this.compareModels, model]
+                    : this.compareModels.filter(m => m !== model);
+                this.renderCompareModels();
+            });
+            label.appendChild(box);
+            label.appendChild(document.createTextNode(` ${model}`));
+            return label;
+        }));
+        this.compareModelsContainer.closest('.form-group')?.classList.toggle('hidden', models.length < 2);
+    }
+
+    // Pick the model a comparison favoured as the regular one
+    useModelAsDefault(model) {
+        if (!this.availableModels().includes(model)) {
+            this.showToast(`Model "${model}" is not available`, 'error');
+            return;
+        }
+        this.modelSelect.value = model;
+        this.updateSettings();
+        this.showToast(`Default model set to ${model}`, 'success');
+    }
+
+    // Built-in slash commands; anything else can be added with this.commands.register()
+    registerDefaultCommands() {
+        const requireArgs = (app, args, usage) => {
+            if (args) return true;
+            app.showToast(`Usage: ${usage}`, 'warning');
+            return false;
+        };
+
+        this.commands
+            .register({
+                name: 'summarize',
+                usage: '/summarize <document>',
+                description: 'Summarize an indexed document (style and length from the settings panel)',
+                complete: (app, partial) => app.completeDocuments(partial),
+                run: (app, args) => {
+                    if (!requireArgs(app, args, '/summarize <document>')) return false;
+                    const docId = app.findDocumentId(args.replace(/^@?\[?|\]$/g, ''));
+                    if (!docId) {
+                        app.showToast(`No indexed document named "${args}"`, 'error');
+                        return false;
+                    }
+                    app.summarizeDocument(docId);
+                }
+            })
+            .register({
+                name: 'search',
+                usage: '/search <terms>',
+                description: 'List the matching passages without generating an answer',
+                run: (app, args) => {
+                    if (!requireArgs(app, args, '/search <terms>')) return false;
+                    app.runChunkSearch(args);
+                }
+            })
+            .register({
+                name: 'model',
+                usage: '/model <name>',
+                description: 'Switch the model used for answers',
+                complete: (app, partial) => app.availableModels()
+                    .filter(m => m.toLowerCase().includes(partial.toLowerCase()))
+                    .map(m => ({ value: m, hint: m === app.modelSelect?.value ? 'current' : '' })),
+                run: (app, args) => {
+                    if (!requireArgs(app, args, '/model <name>')) return false;
+                    if (!app.availableModels().includes(args)) {
+                        app.showToast(`Model "${args}" is not available`, 'error');
+                        return false;
+                    }
+                    app.useModelAsDefault(args);
+                }
+            })
+            .register({
+                name: 'collection',
+                usage: '/collection <name>',
+                description: 'Switch the active collection',
+                complete: (app, partial) => Array.from(app.collectionSelect?.options || [])
+                    .map(o => o.value)
+                    .filter(c => c && c.toLowerCase().includes(partial.toLowerCase()))
+                    .map(c => ({ value: c, hint: c === app.settings.collection ? 'active' : '' })),
+                run: (app, args) => {
+                    if (!requireArgs(app, args, '/collection <name>')) return false;
+                    const name = Array.from(app.collectionSelect?.options || []).map(o => o.value)
+                        .find(c => c.toLowerCase() === args.toLowerCase());
+                    if (!name) {
+                        app.showToast(`Unknown collection "${args}"; create it with + New`, 'error');
+                        return false;
+                    }
+                    app.setActiveCollection(name);
+                }
+            })
+            .register({
+                name: 'clear',
+                usage: '/clear',
+                description: 'Start a new conversation (the current one stays saved)',
+                run: (app) => app.clearChat()
+            })
+            .register({
+                name: 'export',
+                usage: '/export [markdown|html|json]',
+                description: 'Download the conversation',
+                complete: (app, partial) => ['markdown', 'html', 'json']
+                    .filter(f => f.startsWith(partial.toLowerCase()))
+                    .map(f => ({ value: f })),
+                run: (app, args) => {
+                    const format = (args || 'markdown').toLowerCase();
+                    if (!['markdown', 'html', 'json'].includes(format)) {
+                        app.showToast('Usage: /export [markdown|html|json]', 'warning');
+                        return false;
+                    }
+                    app.exportConversation(format);
+                }
+            })
+            .register({
+                name: 'help',
+                usage: '/help',
+                description: 'List the available commands',
+                run: (app) => app.showCommandHelp()
+            });
+    }
+
+    // Runs "/name args" when the name is registered; resolves true when the text was a command
+    async runSlashCommand(text) {
+        const parsed = this.commands.parse(text);
+        if (!parsed) return false;
+
+        this.closeSuggestions();
+        this.messageInput.value = '';
+        this.autoResizeTextarea();
+        this.handleInputChange();
+
+        try {
+            if (await parsed.command.run(this, parsed.args) === false) {
+                this.messageInput.value = text;
+                this.autoResizeTextarea();
+                this.handleInputChange();
+            }
+        } catch (e) {
+            this.messageInput.value = text;
+            this.handleInputChange();
+            this.showToast(`/${parsed.command.name} failed: ${e.message}`, 'error');
+        }
+        return true;
+    }
+
+    // Command list shown in the chat area (not part of the conversation)
+    showCommandHelp() {
+        const block = document.createElement('div');
+        block.className = 'message message--assistant command-help';
+        const contentDiv = document.createElement('div');
+        contentDiv.className = 'message-content';
+
+        const title = document.createElement('div');
+        title.className = 'command-help__title';
+        title.textContent = 'Slash commands';
+        const list = document.createElement('dl');
+        list.className = 'command-help__list';
+        for (const command of this.commands.match('')) {
+            const usage = document.createElement('dt');
+            usage.textContent = command.usage || `/${command.name}`;
+            const description = document.createElement('dd');
+            description.textContent = command.description || '';
+            list.append(usage, description);
+        }
+        const hint = document.createElement('div');
+        hint.className = 'command-help__hint';
+        hint.textContent = 'Tab completes names and arguments. Type @ to limit a question to documents.';
+
+        contentDiv.append(title, list, hint);
+        block.appendChild(contentDiv);
+        this.chatMessages.appendChild(block);
+        this.scrollToBottom();
+    }
+
+    toggleSettings() {
+        if (window.innerWidth <= 768) {
+            this.settingsPanel.classList.toggle('open');
+        }
+    }
+
+    updateConnectionStatus() {
+        const isValidUrl = this.isValidUrl(this.settings.apiEndpoint);
+        this.connectionStatus.className = `status ${isValidUrl ? 'status--success' : 'status--error'}`;
+        this.connectionStatus.innerHTML = `
+            <div class="status-dot"></div>
+            ${isValidUrl ? 'Ready' : 'Invalid URL'}
+        `;
+    }
+
+    isValidUrl(value) {
+        try {
+            if (typeof value === 'string' && value.startsWith('/')) return true;
+            new URL(value);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    handleInputChange() {
+        const hasText = this.messageInput.value.trim().length > 0;
+        this.sendBtn.disabled = !hasText || this.isSending;
+        this.renderScopeChips();
+    }
+
+    handleKeyDown(e) {
+        if (this.suggestions && this.handleSuggestionKey(e)) return;
+        if (e.key === 'Escape' && this.isSending) {
+            e.preventDefault();
+            this.stopGeneration();
+            return;
+        }
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            if (!this.sendBtn.disabled) {
+                this.sendMessage();
+            }
+        }
+    }
+
+    autoResizeTextarea() {
+        this.messageInput.style.height = 'auto';
+        this.messageInput.style.height = Math.min(this.messageInput.scrollHeight, 120) + 'px';
+    }
+
+    toggleFileUpload() {
+        this.fileUploadArea.classList.toggle('hidden');
+    }
+
+    handleDragOver(e) {
+        e.preventDefault();
+        this.fileUploadArea.classList.add('dragover');
+    }
+
+    handleDragLeave(e) {
+        e.preventDefault();
+        this.fileUploadArea.classList.remove('dragover');
+    }
+
+    async handleFileDrop(e) {
+        e.preventDefault();
+        this.fileUploadArea.classList.remove('dragover');
+        const files = Array.from(e.dataTransfer.files);
+        const accepted = this.processFiles(files);
+        if (accepted.length > 0) {
+            await this.uploadFiles(accepted);
+            this.handleInputChange();
+        }
+    }
+
+    async handleFileSelect(e) {
+        const files = Array.from(e.target.files);
+        const accepted = this.processFiles(files);
+        e.target.value = '';
+        if (accepted.length > 0) {
+            await this.uploadFiles(accepted);
+            this.handleInputChange();
+        }
+    }
+
+    processFiles(files) {
+        const supportedTypes = ['.pdf', '.doc', '.docx', '.txt', '.md', '.jpg', '.jpeg', '.png', '.gif', '.bmp', '.csv', '.xlsx', '.json'];
+        const maxSizeMB = 100;
+        const maxSize = maxSizeMB * 1024 * 1024;
+        const accepted = [];
+
+        files.forEach(file => {
+            const fileExt = '.' + file.name.split('.').pop().toLowerCase();
+
+            if (!supportedTypes.includes(fileExt)) {
+                this.showToast(`File type ${fileExt} is not supported`, 'error');
+                return;
+            }
+
+            if (file.size > maxSize) {
+                this.showToast(`File ${file.name} is too large (max ${maxSizeMB}MB)`, 'error');
+                return;
+            }
+
+            const fileId = Date.now() + Math.random();
+            const fileData = {
+                id: fileId,
+                file: file,
+                name: file.name,
+                size: this.formatFileSize(file.size),
+                type: fileExt,
+                status: 'queued',   // queued | uploading | failed
+                loaded: 0,
+                error: null,
+                xhr: null
+            };
+
+            this.uploadedFiles.push(fileData);
+            accepted.push(fileData);
+        });
+
+        this.renderFileLists();
 
         if (files.length > 0) {
             this.fileUploadArea.classList.add('hidden');
@@ -324,6 +1632,11 @@
 
         this.indexedFilesContainer.classList.remove('hidden');
 
+        // forget selections of documents that are gone
+        for (const docId of this.selectedDocs) {
+            if (!this.indexedDocs.has(docId)) this.selectedDocs.delete(docId);
+        }
+
         const truncateFileName = (name, maxLen = 27) => {
             if (!name || name.length <= maxLen) return name || '';
             // Preserve extension if present
@@ -340,9 +1653,13 @@
         const rows = Array.from(this.indexedDocs.entries()).map(([docId, { name }]) => {
             const displayName = truncateFileName(name);
             const fullDocId = docId || '';
+            const status = this.ingestionStatus.get(docId);
             return `
-                <div class="uploaded-file">
+                <div class="uploaded-file${status ? ` uploaded-file--${status.state}` : ''}">
                     <div class="uploaded-file-info">
+                        <input type="checkbox" class="indexed-file-select" title="Only search in the ticked files (tick 2+ to compare them)"
+                               data-id="${encodeURIComponent(docId)}"
+                               onchange="app.handleDocSelect(event)"${this.selectedDocs.has(docId) ? ' checked' : ''}>
                         <div class="uploaded-file-icon">
                             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
@@ -352,8 +1669,18 @@
                         <div class="uploaded-file-details">
                             <div class="uploaded-file-name" title="${name}">${displayName}</div>
                             <div class="uploaded-file-index-id">${fullDocId ? fullDocId : ''}</div>
+                            ${status ? this.renderIngestionStatus(status) : ''}
                         </div>
                     </div>
+                    <button class="remove-file-btn summarize-file-btn" title="Summarize into the chat"
+                            data-id="${encodeURIComponent(docId)}"
+                            onclick="app.handleSummarizeButtonClick(event)"${status && status.state !== 'ready' ? ' disabled' : ''}>
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                            <line x1="21" y1="6" x2="3" y2="6"/>
+                            <line x1="15" y1="12" x2="3" y2="12"/>
+                            <line x1="17" y1="18" x2="3" y2="18"/>
+                        </svg>
+                    </button>
                     <button class="remove-file-btn" title="Delete from memory"
                             data-id="${encodeURIComponent(docId)}"
                             onclick="app.handleDeleteButtonClick(event)">
@@ -370,9 +1697,16 @@
             this.indexedFilesContainer.classList.remove('hidden');
         }
 
+        this.renderScopeChips();
+
         this.indexedFilesContainer.innerHTML = `
             <div class="uploaded-files-section">
-                <div class="uploaded-files-title">Indexed files (${this.indexedDocs.size})</div>
+                <div class="uploaded-files-title">
+                    <span>Indexed files (${this.indexedDocs.size})</span>
+                    ${this.selectedDocs.size >= 2 ? `
+                    <button type="button" class="btn btn--secondary btn--sm" onclick="app.compareSelectedDocuments()"
+                            title="Table of agreements, differences and unique items">Compare (${this.selectedDocs.size})</button>` : ''}
+                </div>
                 <div class="uploaded-files-list">
                     ${rows}
                 </div>
@@ -380,9 +1714,193 @@
         `;
     }
 
-    // Click handler used by inline button HTML
-    handleDeleteButtonClick(e) {
-        const docId = decodeURIComponent(e.currentTarget.dataset.id || '');
+    // Pipeline steps of one document: done / current / waiting chips plus a short summary
+    renderIngestionStatus(status) {
+        const labels = { extract: 'Extract', partition: 'Partition', gen_embeddings: 'Embed', save_records: 'Save' };
+        const current = status.remaining[0];
+
+        const chips = status.steps.map(step => {
+            const state = status.completed.includes(step) ? 'done'
+                : step === current ? (status.state === 'failed' ? 'failed' : 'active')
+                : 'waiting';
+            return `<span class="ingestion-step ingestion-step--${state}" title="${step}">${labels[step] || step}</span>`;
+        }).join('');
+
+        const summary =
+            status.state === 'ready' ? 'Ready'
+            : status.state === 'failed' ? `Failed${current ? ` at ${labels[current] || current}` : ''}`
+            : status.steps.length ? `${status.completed.length}/${status.steps.length} steps, ${status.remaining.length} remaining`
+            : 'Queued';
+
+        return `
+            <div class="ingestion-status ingestion-status--${status.state}">
+                <div class="ingestion-steps">${chips}</div>
+                <div class="ingestion-summary">${summary}</div>
+            </div>`;
+    }
+
+    // Start polling /memory/{id}/status for a freshly uploaded document until it is ready or failed
+    trackIngestion(docId, index) {
+        this.untrackIngestion(docId);
+        this.ingestionStatus.set(docId, { state: 'pending', steps: [], completed: [], remaining: [] });
+
+        let errors = 0;
+        const poll = async () => {
+            this.statusPollers.delete(docId);
+            if (!this.ingestionStatus.has(docId)) return; // untracked meanwhile (e.g. deleted)
+
+            try {
+                const url = `/memory/${encodeURIComponent(docId)}/status${index ? `?index=${encodeURIComponent(index)}` : ''}`;
+                const resp = await fetch(url, { headers: { 'Accept': 'application/json' } });
+                if (!resp.ok) throw new Error(await resp.text().catch(() => '') || `HTTP ${resp.status}`);
+                errors = 0;
+
+                // 204/empty body: the pipeline has not been registered yet
+                const body = resp.status === 204 ? null : await resp.json().catch(() => null);
+                if (body && this.ingestionStatus.has(docId)) {
+                    const status = this.parseIngestionStatus(body);
+                    this.ingestionStatus.set(docId, status);
+                    this.renderIndexedFiles();
+
+                    if (status.state !== 'pending') {
+                        const name = this.indexedDocs.get(docId)?.name || docId;
+                        if (status.state === 'failed') {
+                            this.showToast(`Indexing "${name}" failed`, 'error');
+                        }
+                        return;
+                    }
+                }
+            } catch (e) {
+                // transient errors are retried a few times before giving up
+                console.warn(`[KM] Status poll failed for docId=${docId}:`, e);
+                if (++errors >= 5) {
+                    const current = this.ingestionStatus.get(docId);
+                    if (current) this.ingestionStatus.set(docId, { ...current, state: 'failed' });
+                    this.renderIndexedFiles();
+                    return;
+                }
+            }
+
+            if (this.ingestionStatus.has(docId)) {
+                this.statusPollers.set(docId, setTimeout(poll, this.settings.statusPollMs));
+            }
+        };
+
+        this.statusPollers.set(docId, setTimeout(poll, this.settings.statusPollMs));
+    }
+
+    untrackIngestion(docId) {
+        clearTimeout(this.statusPollers.get(docId));
+        this.statusPollers.delete(docId);
+        this.ingestionStatus.delete(docId);
+    }
+
+    // DataPipelineStatus is serialized with snake_case names; accept camel/Pascal too
+    parseIngestionStatus(body) {
+        const pick = (...keys) => keys.map(k => body[k]).find(v => v !== undefined);
+        const list = (v) => Array.isArray(v) ? v : [];
+
+        const completed = list(pick('completed_steps', 'completedSteps', 'CompletedSteps'));
+        const remaining = list(pick('remaining_steps', 'remainingSteps', 'RemainingSteps'));
+        const steps = list(pick('steps', 'Steps'));
+        const failed = pick('failed', 'Failed') === true;
+        const done = pick('completed', 'Completed') === true;
+
+        return {
+            state: failed ? 'failed' : done ? 'ready' : 'pending',
+            steps: steps.length ? steps : [...completed, ...remaining],
+            completed,
+            remaining
+        };
+    }
+
+    // Click handler used by inline button HTML
+    handleSummarizeButtonClick(e) {
+        const docId = decodeURIComponent(e.currentTarget.dataset.id || '');
+        if (docId) {
+            this.summarizeDocument(docId);
+        }
+    }
+
+    handleDocSelect(e) {
+        const docId = decodeURIComponent(e.currentTarget.dataset.id || '');
+        if (!docId) return;
+
+        if (e.currentTarget.checked) this.selectedDocs.add(docId);
+        else this.selectedDocs.delete(docId);
+        this.renderIndexedFiles();
+    }
+
+    // Map-reduce summary of a whole indexed document, streamed into the chat as an assistant message citing it
+    async summarizeDocument(docId) {
+        const doc = this.indexedDocs.get(docId);
+        const target = { documentId: docId, index: doc?.index || '', ...this.getSummaryOptions() };
+        await this.runDocumentTask(`Summarize "${doc?.name || docId}" (${target.style}, ${target.length})`, target);
+    }
+
+    // Comparative summary (table) of the ticked documents
+    async compareSelectedDocuments() {
+        const docIds = [...this.selectedDocs].filter(id => this.indexedDocs.has(id));
+        if (docIds.length < 2 || docIds.length > 5) {
+            this.showToast('Select 2 to 5 documents to compare', 'warning');
+            return;
+        }
+
+        const names = docIds.map(id => `"${this.indexedDocs.get(id).name || id}"`);
+        const target = { documentIds: docIds, index: this.indexedDocs.get(docIds[0]).index || '' };
+        await this.runDocumentTask(`Compare ${names.join(', ')}`, target);
+    }
+
+    // Post a summary/comparison request into the chat and stream the result (see streamSummary)
+    async runDocumentTask(text, target) {
+        if (this.isSending) {
+            this.showToast('Wait for the current answer (or stop it) before summarizing', 'warning');
+            return;
+        }
+
+        const model = (this.modelSelect?.value || '').trim();
+        const signal = this.beginSending();
+
+        this.addMessage(text, 'user', null, {
+            model: model || 'default',
+            timestamp: new Date().toISOString()
+        });
+
+        const stream = { bubble: this.beginStreamingMessage(), text: '' };
+        const started = performance.now();
+
+        try {
+            const data = await this.streamSummary(target, model, stream, signal);
+            this.addMessage(data.Answer || data.answer || stream.text || 'No summary received', 'assistant', data.Citations || data.citations || [], {
+                model: data.Model || data.model || model || 'default',
+                timestamp: new Date().toISOString(),
+                latencyMs: Math.round(performance.now() - started),
+                summary: target
+            }, stream.bubble.wrapper);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.addMessage(stream.text || 'Summary cancelled.', 'assistant', null, {
+                    model: model || 'default',
+                    timestamp: new Date().toISOString(),
+                    cancelled: true
+                }, stream.bubble.wrapper);
+                return;
+            }
+
+            stream.bubble.wrapper.remove();
+            this.addMessage(`Error: ${error.message}`, 'assistant', null, {
+                model: model || 'default',
+                timestamp: new Date().toISOString(),
+                error: true
+            });
+            this.showToast(`${text} failed`, 'error');
+        } finally {
+            this.endSending();
+        }
+    }
+
+    handleDeleteButtonClick(e) {
+        const docId = decodeURIComponent(e.currentTarget.dataset.id || '');
         if (docId) {
             this.deleteIndexedDocumentById(docId);
         }
@@ -408,6 +1926,7 @@
 
             if (resp.status === 204 || resp.status === 200) {
                 this.indexedDocs.delete(docId);
+                this.untrackIngestion(docId);
                 this.renderFileLists();
 
                 console.info(`[KM] Successfully deleted "${name}" (docId=${short(docId)}, index=${index || '(auto)'}), status=${resp.status}.`);
@@ -427,6 +1946,7 @@
                 }
 
                 this.indexedDocs.delete(docId);
+                this.untrackIngestion(docId);
                 this.renderFileLists();
 
                 console.info(`[KM] "${name}" (docId=${short(docId)}, index=${index || '(auto)'}) was already removed on server; cleaned up locally.`);
@@ -463,7 +1983,7 @@
             <div class="uploaded-files-section">
                 <div class="uploaded-files-title">Pending uploads (${this.uploadedFiles.length})</div>
                 ${this.uploadedFiles.map(file => `
-                    <div class="uploaded-file" data-file-id="${file.id}">
+                    <div class="uploaded-file uploaded-file--${file.status}" data-file-id="${file.id}">
                         <div class="uploaded-file-info">
                             <div class="uploaded-file-icon">
                                 <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -473,10 +1993,20 @@
                             </div>
                             <div class="uploaded-file-details">
                                 <div class="uploaded-file-name" title="${file.name}">${file.name}</div>
-                                <div class="uploaded-file-size">${file.size}</div>
+                                <div class="upload-progress${file.status === 'failed' ? ' upload-progress--failed' : ''}">
+                                    <div class="upload-progress__bar" style="width: ${this.uploadPercent(file)}%"></div>
+                                </div>
+                                <div class="uploaded-file-size">${this.describeUpload(file)}</div>
                             </div>
                         </div>
-                        <button class="remove-file-btn" onclick="app.removeFile(${file.id})" title="Remove from pending">
+                        ${file.status === 'failed' ? `
+                        <button class="remove-file-btn" onclick="app.retryUpload(${file.id})" title="Retry upload">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <polyline points="23 4 23 10 17 10"/>
+                                <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/>
+                            </svg>
+                        </button>` : ''}
+                        <button class="remove-file-btn" onclick="app.removeFile(${file.id})" title="${file.status === 'uploading' ? 'Cancel upload' : 'Remove from pending'}">
                             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <line x1="18" y1="6" x2="6" y2="18"/>
                                 <line x1="6" y1="6" x2="18" y2="18"/>
@@ -488,151 +2018,1517 @@
         `;
     }
 
-    removeFile(fileId) {
-        this.uploadedFiles = this.uploadedFiles.filter(file => file.id !== fileId);
-        this.renderFileLists();
-        this.handleInputChange();
-        this.showToast('File removed', 'info');
+    uploadPercent(file) {
+        return file.file.size ? Math.min(100, Math.round((file.loaded / file.file.size) * 100)) : 0;
+    }
+
+    describeUpload(file) {
+        switch (file.status) {
+            case 'uploading':
+                return `${this.formatFileSize(file.loaded)} / ${file.size} (${this.uploadPercent(file)}%)`;
+            case 'failed':
+                return `Failed: ${file.error || 'upload error'}`;
+            default:
+                return `${file.size} - queued`;
+        }
+    }
+
+    // Update one pending row in place (progress events fire too often to re-render the whole list)
+    updateUploadProgress(file) {
+        const row = this.uploadedFilesContainer?.querySelector(`[data-file-id="${file.id}"]`);
+        if (!row) return;
+        const bar = row.querySelector('.upload-progress__bar');
+        if (bar) bar.style.width = `${this.uploadPercent(file)}%`;
+        const label = row.querySelector('.uploaded-file-size');
+        if (label) label.textContent = this.describeUpload(file);
+    }
+
+    // Removes a pending file; cancels it first if it is being uploaded
+    removeFile(fileId) {
+        const file = this.uploadedFiles.find(f => f.id === fileId);
+        if (file?.status === 'uploading') {
+            file.cancelled = true;
+            file.xhr?.abort(); // uploadFiles() drops it from the list
+            this.showToast(`Upload of "${file.name}" cancelled`, 'info');
+            return;
+        }
+
+        this.uploadedFiles = this.uploadedFiles.filter(file => file.id !== fileId);
+        this.renderFileLists();
+        this.handleInputChange();
+        this.showToast('File removed', 'info');
+    }
+
+    async retryUpload(fileId) {
+        const file = this.uploadedFiles.find(f => f.id === fileId);
+        if (!file || file.status !== 'failed') return;
+        await this.uploadFiles([file]);
+        this.handleInputChange();
+    }
+
+    // Upload files one request each (bounded concurrency) so every file reports its own progress.
+    // Uploaded files leave the pending list; failed ones stay there for retry.
+    async uploadFiles(files) {
+        if (!files || files.length === 0) return { success: true };
+
+        for (const fd of files) {
+            fd.status = 'queued';
+            fd.loaded = 0;
+            fd.error = null;
+            fd.cancelled = false;
+        }
+        this.renderFileLists();
+
+        const queue = [...files];
+        let uploaded = 0;
+        let failed = 0;
+
+        const worker = async () => {
+            while (queue.length > 0) {
+                const fd = queue.shift();
+                if (!this.uploadedFiles.includes(fd)) continue; // removed while queued
+
+                try {
+                    const body = await this.uploadFile(fd);
+                    this.uploadedFiles = this.uploadedFiles.filter(f => f !== fd);
+                    uploaded++;
+
+                    // Inject items immediately, so they show while transitioning
+                    const items = (body && (body.Files || body.files)) || [];
+                    for (const it of Array.isArray(items) ? items : []) {
+                        const name = it.FileName || it.fileName || '';
+                        const docId = it.DocumentId || it.documentId || '';
+                        const index = it.Index || it.index || '';
+                        if (!name || !docId) continue;
+
+                        // Canonical
+                        this.indexedDocs.set(docId, { name, index });
+                        this.trackIngestion(docId, index);
+                    }
+                } catch (err) {
+                    if (err.name === 'AbortError') {
+                        this.uploadedFiles = this.uploadedFiles.filter(f => f !== fd);
+                    } else {
+                        fd.status = 'failed';
+                        fd.error = err.message;
+                        failed++;
+                    }
+                } finally {
+                    fd.xhr = null;
+                    this.renderFileLists();
+                }
+            }
+        };
+
+        const workers = Math.max(1, Math.min(this.settings.uploadConcurrency, files.length));
+        await Promise.all(Array.from({ length: workers }, worker));
+
+        // Then fetch authoritative state from the server to reconcile
+        if (uploaded > 0) {
+            await this.refreshIndexedFromServer();
+            this.showToast(`Uploaded ${uploaded} file(s); indexing in progress`, 'success');
+        }
+        if (failed > 0) {
+            this.showToast(`${failed} file(s) failed to upload; use retry in the pending list`, 'error');
+        }
+        this.renderFileLists();
+
+        return failed === 0 ? { success: true } : { success: false, error: new Error(`${failed} upload(s) failed`) };
+    }
+
+    // Upload one file; resolves with the parsed /extract/upload-shaped body ({ Files: [...] })
+    async uploadFile(fd) {
+        fd.status = 'uploading';
+        this.renderPendingFiles();
+
+        if (fd.file.size > this.settings.chunkedUploadThreshold) {
+            return this.uploadFileChunked(fd);
+        }
+
+        const formData = new FormData();
+        formData.append('files', fd.file, fd.name);
+
+        const url = `/extract/upload?${new URLSearchParams({ collection: this.settings.collection }).toString()}`;
+        const xhr = await this.sendUploadRequest(fd, 'POST', url, formData, {}, (loaded) => { fd.loaded = loaded; });
+        fd.loaded = fd.file.size;
+        try { return JSON.parse(xhr.responseText); } catch { return null; }
+    }
+
+    // Resumable upload: numbered chunks with SHA-256 checksums; an unfinished upload of the same file resumes
+    async uploadFileChunked(fd) {
+        const { file } = fd;
+        const collection = this.settings.collection;
+        const fingerprint = [file.name, file.size, file.lastModified, collection].join('|');
+        const base = '/extract/upload/sessions';
+
+        let session = null;
+        const knownId = this.getUploadSessions()[fingerprint];
+        if (knownId) {
+            const resp = await fetch(`${base}/${encodeURIComponent(knownId)}`, { headers: { 'Accept': 'application/json' } }).catch(() => null);
+            if (resp?.ok) {
+                session = await resp.json();
+            }
+        }
+
+        if (!session) {
+            const resp = await fetch(base, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                body: JSON.stringify({ fileName: fd.name, size: file.size, collection })
+            });
+            if (!resp.ok) throw new Error(await resp.text() || `HTTP ${resp.status}`);
+            session = await resp.json();
+            this.setUploadSession(fingerprint, session.uploadId ?? session.UploadId);
+        }
+
+        const uploadId = session.uploadId ?? session.UploadId;
+        const chunkSize = session.chunkSize ?? session.ChunkSize;
+        const totalChunks = session.totalChunks ?? session.TotalChunks;
+        const received = new Set(session.receivedChunks ?? session.ReceivedChunks ?? []);
+        const chunkUrl = (n) => `${base}/${encodeURIComponent(uploadId)}/chunks/${n}`;
+        const chunkBlob = (n) => file.slice(n * chunkSize, Math.min(file.size, (n + 1) * chunkSize));
+
+        if (received.size > 0) {
+            this.showToast(`Resuming "${fd.name}" (${received.size}/${totalChunks} chunks already uploaded)`, 'info');
+        }
+
+        let sent = 0;
+        for (const n of received) sent += chunkBlob(n).size;
+        fd.loaded = sent;
+        this.updateUploadProgress(fd);
+
+        try {
+            for (let n = 0; n < totalChunks; n++) {
+                if (received.has(n)) continue;
+                if (fd.cancelled) throw new DOMException('Upload cancelled', 'AbortError');
+
+                const blob = chunkBlob(n);
+                const checksum = await this.sha256Hex(blob);
+
+                for (let attempt = 1; ; attempt++) {
+                    try {
+                        await this.sendUploadRequest(fd, 'PUT', chunkUrl(n), blob,
+                            { 'Content-Type': 'application/octet-stream', 'X-Chunk-Checksum': checksum },
+                            (loaded) => { fd.loaded = sent + loaded; });
+                        break;
+                    } catch (err) {
+                        if (err.name === 'AbortError' || attempt >= this.settings.chunkRetries) throw err;
+                        console.warn(`[Upload] Chunk ${n} of "${fd.name}" failed (attempt ${attempt}), retrying:`, err);
+                        await new Promise(r => setTimeout(r, 1000 * attempt));
+                    }
+                }
+
+                sent += blob.size;
+                fd.loaded = sent;
+            }
+
+            const resp = await fetch(`${base}/${encodeURIComponent(uploadId)}/complete`, { method: 'POST', headers: { 'Accept': 'application/json' } });
+            if (!resp.ok) throw new Error(await resp.text() || `HTTP ${resp.status}`);
+            this.setUploadSession(fingerprint, null);
+            return await resp.json().catch(() => null);
+        } catch (err) {
+            // a cancelled upload is abandoned server-side too; other failures keep their chunks for a retry/resume
+            if (err.name === 'AbortError') {
+                this.setUploadSession(fingerprint, null);
+                fetch(`${base}/${encodeURIComponent(uploadId)}`, { method: 'DELETE' }).catch(() => { });
+            }
+            throw err;
+        }
+    }
+
+    // XHR (fetch has no upload progress); resolves with the xhr on 2xx, rejects otherwise
+    sendUploadRequest(fd, method, url, body, headers, onProgress) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            fd.xhr = xhr;
+
+            xhr.upload.addEventListener('progress', (e) => {
+                onProgress(e.loaded);
+                this.updateUploadProgress(fd);
+            });
+            xhr.addEventListener('load', () => {
+                fd.xhr = null;
+                if (xhr.status >= 200 && xhr.status < 300) {
+                    resolve(xhr);
+                } else {
+                    reject(new Error(xhr.responseText || `HTTP ${xhr.status}`));
+                }
+            });
+            xhr.addEventListener('error', () => { fd.xhr = null; reject(new Error('Network error')); });
+            xhr.addEventListener('abort', () => { fd.xhr = null; reject(new DOMException('Upload cancelled', 'AbortError')); });
+
+            xhr.open(method, url);
+            for (const [name, value] of Object.entries(headers)) {
+                xhr.setRequestHeader(name, value);
+            }
+            xhr.send(body);
+        });
+    }
+
+    async sha256Hex(blob) {
+        const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    getUploadSessions() {
+        try {
+            const sessions = JSON.parse(localStorage.getItem(UPLOAD_SESSIONS_KEY) || '{}');
+            return sessions && typeof sessions === 'object' ? sessions : {};
+        } catch {
+            return {};
+        }
+    }
+
+    // uploadId = null forgets the fingerprint
+    setUploadSession(fingerprint, uploadId) {
+        const sessions = this.getUploadSessions();
+        if (uploadId) {
+            sessions[fingerprint] = uploadId;
+        } else {
+            delete sessions[fingerprint];
+        }
+        localStorage.setItem(UPLOAD_SESSIONS_KEY, JSON.stringify(sessions));
+    }
+
+    showTypingIndicator() {
+        if (this.typingIndicator) {
+            this.typingIndicator.classList.remove('hidden');
+            this.scrollToBottom();
+        }
+    }
+
+    hideTypingIndicator() {
+        if (this.typingIndicator) {
+            this.typingIndicator.classList.add('hidden');
+        }
+    }
+
+    scrollToBottom() {
+        try {
+            this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+        } catch { /* ignore */ }
+    }
+
+    // "New Chat": the current conversation stays stored; an empty one starts (and is saved on its first message)
+    clearChat() {
+        if (this.isSending) {
+            this.showToast('Wait for the current answer (or stop it) before starting a new conversation', 'warning');
+            return;
+        }
+        try {
+            this.resetChatView();
+            this.conversationId = null;
+            localStorage.removeItem(ACTIVE_CONVERSATION_KEY);
+            this.renderConversationList();
+            this.showToast('New conversation started', 'success');
+        } catch (e) {
+            this.showToast(`Failed to start a new conversation: ${e.message}`, 'error');
+        }
+    }
+
+    resetChatView() {
+        this.closeCitationsPopup();
+        const messages = this.chatMessages?.querySelectorAll('.message');
+        messages?.forEach(m => m.remove());
+        this.chatHistory = [];
+    }
+
+    // Reopen the conversation that was active before the reload (or the most recent one)
+    async restoreLastConversation() {
+        try {
+            const savedId = localStorage.getItem(ACTIVE_CONVERSATION_KEY);
+            let conversation = await this.conversationStore.getConversation(savedId);
+            if (!conversation) {
+                [conversation] = await this.conversationStore.listConversations();
+            }
+            // don't clobber a chat the user already started while we were loading
+            if (conversation && this.chatHistory.length === 0) {
+                await this.loadConversation(conversation.id);
+            }
+        } catch (e) {
+            console.warn('Failed to restore conversation:', e);
+        } finally {
+            this.renderConversationList();
+        }
+    }
+
+    // Re-render a stored conversation by replaying its messages through addMessage()
+    async loadConversation(conversationId) {
+        const conversation = await this.conversationStore.getConversation(conversationId);
+        if (!conversation) throw new Error('Conversation not found');
+        const messages = await this.conversationStore.getMessages(conversationId);
+
+        this.resetChatView();
+        this.conversationId = conversationId;
+        localStorage.setItem(ACTIVE_CONVERSATION_KEY, conversationId);
+
+        // per-conversation model and collection choices
+        if (conversation.model && conversation.model !== 'default') {
+            this.settings.model = conversation.model;
+            this.applyModelSelection();
+        }
+        if (conversation.collection) {
+            await this.setActiveCollection(conversation.collection, { persist: false });
+        }
+
+        this.isRestoring = true;
+        try {
+            messages.forEach(m => this.addMessage(m.content, m.role, m.citations, this.entryMeta(m)));
+        } finally {
+            this.isRestoring = false;
+        }
+        this.scrollToBottom();
+    }
+
+    // Save a message to the active conversation, creating the conversation on first use.
+    // Writes are chained so a question and its answer land in order in the same conversation.
+    persistMessage(entry) {
+        this.persistQueue = this.persistQueue
+            .then(async () => {
+                if (!this.conversationId) {
+                    const conversation = await this.conversationStore.createConversation({
+                        title: this.deriveConversationTitle(entry.content),
+                        model: entry.model,
+                        collection: this.settings.collection
+                    });
+                    this.conversationId = conversation.id;
+                    localStorage.setItem(ACTIVE_CONVERSATION_KEY, conversation.id);
+                }
+                entry.id = await this.conversationStore.addMessage(this.conversationId, entry);
+                await this.renderConversationList();
+            })
+            .catch(e => console.warn('Failed to save message:', e));
+        return this.persistQueue;
+    }
+
+    // Sidebar list of saved conversations, filtered by the title search box.
+    // reload=false re-filters the cached list without hitting IndexedDB (used while typing).
+    async renderConversationList({ reload = true } = {}) {
+        if (!this.conversationList) return;
+
+        if (reload || !this.conversations) {
+            try {
+                this.conversations = await this.conversationStore.listConversations();
+            } catch (e) {
+                console.warn('Failed to list conversations:', e);
+                this.conversations = [];
+            }
+        }
+
+        const term = (this.conversationSearch?.value || '').trim().toLowerCase();
+        const visible = this.conversations.filter(c => !term || (c.title || '').toLowerCase().includes(term));
+
+        this.conversationList.replaceChildren();
+
+        // the not-yet-saved conversation the user is typing into
+        if (!this.conversationId && !term) {
+            const draft = document.createElement('div');
+            draft.className = 'conversation-item conversation-item--active';
+            const title = document.createElement('div');
+            title.className = 'conversation-item__title';
+            title.textContent = 'New conversation';
+            draft.appendChild(title);
+            this.conversationList.appendChild(draft);
+        }
+
+        visible.forEach(c => {
+            const item = document.createElement('div');
+            item.className = `conversation-item${c.id === this.conversationId ? ' conversation-item--active' : ''}`;
+            item.setAttribute('role', 'button');
+            item.setAttribute('tabindex', '0');
+            item.title = c.title || '';
+
+            const details = document.createElement('div');
+            details.className = 'conversation-item__details';
+            const title = document.createElement('div');
+            title.className = 'conversation-item__title';
+            title.textContent = c.title || 'Untitled';
+            const meta = document.createElement('div');
+            meta.className = 'conversation-item__meta';
+            meta.textContent = this.formatTimestamp(c.updatedAt || c.createdAt);
+            details.appendChild(title);
+            details.appendChild(meta);
+
+            const renameBtn = document.createElement('button');
+            renameBtn.type = 'button';
+            renameBtn.className = 'conversation-item__action';
+            renameBtn.title = 'Rename';
+            renameBtn.innerHTML = `
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                    <path d="M12 20h9"/>
+                    <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"/>
+                </svg>`;
+            renameBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.renameConversation(c.id);
+            });
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'conversation-item__action remove-file-btn';
+            deleteBtn.title = 'Delete conversation';
+            deleteBtn.innerHTML = `
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                    <line x1="18" y1="6" x2="6" y2="18"/>
+                    <line x1="6" y1="6" x2="18" y2="18"/>
+                </svg>`;
+            deleteBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.deleteConversation(c.id);
+            });
+
+            item.appendChild(details);
+            item.appendChild(renameBtn);
+            item.appendChild(deleteBtn);
+
+            item.addEventListener('click', () => this.switchConversation(c.id));
+            item.addEventListener('keydown', (e) => {
+                if (e.target === item && (e.key === 'Enter' || e.key === ' ')) {
+                    e.preventDefault();
+                    this.switchConversation(c.id);
+                }
+            });
+
+            this.conversationList.appendChild(item);
+        });
+
+        if (visible.length === 0 && term) {
+            const empty = document.createElement('div');
+            empty.className = 'conversation-list__empty';
+            empty.textContent = 'No matching conversations';
+            this.conversationList.appendChild(empty);
+        }
+    }
+
+    toggleExportMenu(open) {
+        if (!this.exportMenu) return;
+        const show = open ?? this.exportMenu.classList.contains('hidden');
+        this.exportMenu.classList.toggle('hidden', !show);
+        this.exportBtn?.setAttribute('aria-expanded', String(show));
+    }
+
+    // Snapshot of the visible conversation: messages with their KM refs and citation snippets
+    buildExportData() {
+        const current = this.conversations?.find(c => c.id === this.conversationId);
+        const firstQuestion = this.chatHistory.find(m => m.role === 'user')?.content;
+
+        return {
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            conversation: {
+                id: this.conversationId,
+                title: current?.title || this.deriveConversationTitle(firstQuestion),
+                model: current?.model || this.settings.model || '',
+                collection: current?.collection || this.settings.collection,
+                createdAt: current?.createdAt || this.chatHistory[0]?.timestamp || null
+            },
+            messages: this.chatHistory.map(m => ({
+                role: m.role,
+                content: m.content,
+                timestamp: m.timestamp,
+                model: m.model,
+                cancelled: !!m.cancelled,
+                error: !!m.error,
+                standaloneQuery: m.standaloneQuery || '',
+                subQueries: m.subQueries || [],
+                km: this.buildKmRefs(m.citations),
+                citations: m.citations || []
+            }))
+        };
+    }
+
+    exportConversation(format) {
+        if (this.chatHistory.length === 0) {
+            this.showToast('Nothing to export yet', 'info');
+            return;
+        }
+
+        const data = this.buildExportData();
+        const slug = (data.conversation.title || 'conversation')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 50) || 'conversation';
+        const stamp = data.exportedAt.slice(0, 10);
+
+        try {
+            if (format === 'markdown') {
+                this.downloadFile(`${slug}-${stamp}.md`, this.conversationExporter.toMarkdown(data), 'text/markdown');
+            } else if (format === 'html') {
+                const html = this.conversationExporter.toHtml(data, (el, content) => this.renderMarkdown(el, content));
+                this.downloadFile(`${slug}-${stamp}.html`, html, 'text/html');
+            } else if (format === 'json') {
+                this.downloadFile(`${slug}-${stamp}.json`, this.conversationExporter.toJson(data), 'application/json');
+            } else {
+                throw new Error(`Unknown export format "${format}"`);
+            }
+        } catch (e) {
+            this.showToast(`Export failed: ${e.message}`, 'error');
+        }
+    }
+
+    downloadFile(fileName, content, mimeType) {
+        const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // Re-import a JSON export as a new stored conversation and open it
+    async importConversation(file) {
+        if (this.isSending) {
+            this.showToast('Wait for the current answer (or stop it) before importing', 'warning');
+            return;
+        }
+
+        try {
+            const data = JSON.parse(await file.text());
+            if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.messages)) {
+                throw new Error('not a conversation export');
+            }
+
+            const messages = data.messages
+                .filter(m => m && typeof m.content === 'string')
+                .map(m => ({
+                    role: m.role === 'user' ? 'user' : 'assistant',
+                    content: m.content,
+                    citations: Array.isArray(m.citations) ? m.citations : [],
+                    timestamp: m.timestamp || new Date().toISOString(),
+                    model: m.model || 'default',
+                    cancelled: !!m.cancelled,
+                    error: !!m.error,
+                    standaloneQuery: m.standaloneQuery || '',
+                    subQueries: Array.isArray(m.subQueries) ? m.subQueries : [],
+                    km: this.buildKmRefs(m.citations)
+                }));
+
+            const conversation = await this.conversationStore.createConversation({
+                title: `${data.conversation?.title || 'Conversation'} (imported)`,
+                model: data.conversation?.model || '',
+                collection: data.conversation?.collection || this.settings.collection
+            });
+            for (const m of messages) {
+                await this.conversationStore.addMessage(conversation.id, m);
+            }
+
+            await this.persistQueue;
+            await this.loadConversation(conversation.id);
+            await this.renderConversationList();
+            this.showToast(`Imported ${messages.length} message(s)`, 'success');
+        } catch (e) {
+            this.showToast(`Import failed: ${e.message}`, 'error');
+        }
+    }
+
+    async switchConversation(conversationId) {
+        if (conversationId === this.conversationId) return;
+        if (this.isSending) {
+            this.showToast('Wait for the current answer (or stop it) before switching conversations', 'warning');
+            return;
+        }
+        try {
+            await this.persistQueue;
+            await this.loadConversation(conversationId);
+            await this.renderConversationList();
+            if (window.innerWidth <= 768) {
+                this.settingsPanel?.classList.remove('open');
+            }
+        } catch (e) {
+            this.showToast(`Failed to open conversation: ${e.message}`, 'error');
+        }
+    }
+
+    async renameConversation(conversationId) {
+        const current = this.conversations?.find(c => c.id === conversationId);
+        const title = prompt('Rename conversation', current?.title || '');
+        if (title === null) return;
+
+        const trimmed = title.trim();
+        if (!trimmed) {
+            this.showToast('Title cannot be empty', 'error');
+            return;
+        }
+
+        try {
+            await this.conversationStore.updateConversation(conversationId, { title: trimmed });
+            await this.renderConversationList();
+        } catch (e) {
+            this.showToast(`Failed to rename conversation: ${e.message}`, 'error');
+        }
+    }
+
+    async deleteConversation(conversationId) {
+        const current = this.conversations?.find(c => c.id === conversationId);
+        if (!confirm(`Delete conversation "${current?.title || 'Untitled'}"?\n\nThis cannot be undone.`)) return;
+
+        if (conversationId === this.conversationId && this.isSending) {
+            this.showToast('Wait for the current answer (or stop it) before deleting this conversation', 'warning');
+            return;
+        }
+
+        try {
+            await this.persistQueue;
+            await this.conversationStore.deleteConversation(conversationId);
+            if (conversationId === this.conversationId) {
+                this.resetChatView();
+                this.conversationId = null;
+                localStorage.removeItem(ACTIVE_CONVERSATION_KEY);
+            }
+            await this.renderConversationList();
+            this.showToast('Conversation deleted', 'success');
+        } catch (e) {
+            this.showToast(`Failed to delete conversation: ${e.message}`, 'error');
+        }
+    }
+
+    persistReplacement(replaced, entry) {
+        this.persistQueue = this.persistQueue
+            .then(async () => {
+                entry.id = replaced.id; // known once the replaced message's own save has run
+                if (entry.id == null) return;
+                const { id, ...fields } = entry;
+                await this.conversationStore.updateMessage(id, fields);
+            })
+            .catch(e => console.warn('Failed to save regenerated message:', e));
+        return this.persistQueue;
+    }
+
+    // addMessage() meta for re-rendering a stored/history message
+    entryMeta(m) {
+        return {
+            model: m.model,
+            timestamp: m.timestamp,
+            cancelled: m.cancelled,
+            error: m.error,
+            standaloneQuery: m.standaloneQuery,
+            subQueries: m.subQueries,
+            id: m.id,
+            feedback: m.feedback,
+            comparison: m.comparison,
+            latencyMs: m.latencyMs,
+            retrieval: m.retrieval,
+            summary: m.summary,
+            scope: m.scope,
+            template: m.template,
+            grounding: m.grounding,
+            claims: m.claims
+        };
+    }
+
+    deriveConversationTitle(text, maxLen = 60) {
+        const s = (text || '').trim().replace(/\s+/g, ' ');
+        if (!s) return 'New conversation';
+        return s.length > maxLen ? s.slice(0, maxLen) + '…' : s;
+    }
+
+    async sendMessage() {
+        const message = this.messageInput.value.trim();
+        if (!message || this.isSending) return; // guard
+
+        // "/command args" runs a registered slash command instead of asking
+        if (await this.runSlashCommand(message)) return;
+
+        if (this.searchMode) {
+            await this.runChunkSearch(message);
+            return;
+        }
+
+        // lock UI immediately
+        const signal = this.beginSending();
+
+        // capture selected model (or compared models) at send time
+        const selectedModel = (this.modelSelect?.value || '').trim();
+        const compareModels = this.compareModels.length >= 2 ? [...this.compareModels] : null;
+        const comparison = compareModels ? this.conversationStore.newId() : null;
+
+        // capture prior turns before the new question lands in chatHistory
+        const history = this.buildConversationContext();
+        const scope = this.resolveScope(message);
+
+        // add user message with meta
+        this.addMessage(message, 'user', null, {
+            model: compareModels ? compareModels.join(' vs ') : selectedModel || 'default',
+            timestamp: new Date().toISOString(),
+            comparison,
+            scope: scope.documentIds
+        });
+        this.messageInput.value = '';
+        this.autoResizeTextarea();
+        this.renderScopeChips();
+
+        if (compareModels) {
+            try {
+                await this.runComparison(scope, history, compareModels, comparison, signal);
+            } finally {
+                this.endSending();
+            }
+            return;
+        }
+
+        this.showTypingIndicator();
+
+        // live assistant bubble, created on the first streamed token
+        const stream = { bubble: null, text: '' };
+        const started = performance.now();
+
+        try {
+            const data = await this.streamAnswer(this.buildSearchRequest(scope.query, history, selectedModel, scope.documentIds), stream, signal);
+
+            this.hideTypingIndicator();
+            const citations = data.Citations || data.citations || [];
+            const modelFromServer = data.Model || data.model || selectedModel || 'default';
+            this.addMessage(
+                data.Answer || data.answer || stream.text || data.response || data.message || 'No response received',
+                'assistant',
+                citations,
+                {
+                    model: modelFromServer,
+                    timestamp: new Date().toISOString(),
+                    standaloneQuery: data.StandaloneQuery || data.standaloneQuery || '',
+                    subQueries: data.SubQueries || data.subQueries || [],
+                    latencyMs: Math.round(performance.now() - started),
+                    retrieval: data.Retrieval || data.retrieval || null,
+                    template: this.templateMeta(data),
+                    grounding: data.Grounding || data.grounding || null,
+                    claims: data.Claims || data.claims || []
+                },
+                stream.bubble?.wrapper
+            );
+        } catch (error) {
+            this.hideTypingIndicator();
+            const selectedOrDefault = selectedModel || 'default';
+
+            if (error.name === 'AbortError') {
+                // keep whatever was streamed so far, flagged as cancelled
+                this.addMessage(stream.text || 'Request cancelled.', 'assistant', null, {
+                    model: selectedOrDefault,
+                    timestamp: new Date().toISOString(),
+                    cancelled: true
+                }, stream.bubble?.wrapper);
+                return;
+            }
+
+            stream.bubble?.wrapper.remove();
+            this.addMessage(`Error: ${error.message}. Please check your API endpoint and try again.`, 'assistant', null, {
+                model: selectedOrDefault,
+                timestamp: new Date().toISOString(),
+                error: true
+            });
+            this.showToast('Failed to send message', 'error');
+            this.updateConnectionStatus();
+        } finally {
+            this.endSending();
+        }
+    }
+
+    toggleSearchMode(on = !this.searchMode) {
+        this.searchMode = on;
+        this.searchModeBtn?.classList.toggle('input-action-btn--active', on);
+        this.searchModeBtn?.setAttribute('aria-pressed', String(on));
+        this.messageInput.placeholder = on
+            ? 'Search the documents... (lists matching passages, no AI answer)'
+            : this.defaultPlaceholder;
+    }
+
+    // Retrieval-only query: ranked chunks rendered in the chat area. Results are not part of the conversation.
+    async runChunkSearch(query) {
+        const scope = this.resolveScope(query);
+        const signal = this.beginSending();
+        this.messageInput.value = '';
+        this.autoResizeTextarea();
+        this.renderScopeChips();
+
+        const block = document.createElement('div');
+        block.className = 'message message--assistant search-results';
+        const contentDiv = document.createElement('div');
+        contentDiv.className = 'message-content';
+        const status = document.createElement('div');
+        status.className = 'search-results__status';
+        status.textContent = `Searching for "${query}"...`;
+        contentDiv.appendChild(status);
+        block.appendChild(contentDiv);
+        this.chatMessages.appendChild(block);
+        this.scrollToBottom();
+
+        try {
+            const resp = await fetch('/search/chunks', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                body: JSON.stringify(this.buildSearchRequest(scope.query, [], null, scope.documentIds)),
+                signal
+            });
+            if (!resp.ok) throw new Error(await resp.text() || `HTTP ${resp.status}`);
+            this.renderChunkResults(contentDiv, query, await resp.json());
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                status.textContent = 'Search cancelled.';
+            } else {
+                status.textContent = `Search failed: ${error.message}`;
+                this.showToast('Search failed', 'error');
+            }
+        } finally {
+            this.endSending();
+            this.scrollToBottom();
+        }
+    }
+
+    renderChunkResults(container, query, data) {
+        const results = data.results || data.Results || [];
+        const terms = this.searchTerms(query);
+        container.replaceChildren();
+
+        const header = document.createElement('div');
+        header.className = 'search-results__header';
+        header.textContent = `${results.length} passage${results.length === 1 ? '' : 's'} for "${query}"`;
+        container.appendChild(header);
+
+        const subQueries = data.subQueries || data.SubQueries || [];
+        if (subQueries.length > 0) container.appendChild(this.buildSearchedFor([query, ...subQueries]));
+
+        if (results.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'search-results__status';
+            empty.textContent = 'Nothing matched. Try other words or lower the min relevance in Advanced retrieval.';
+            container.appendChild(empty);
+            return;
+        }
+
+        const list = document.createElement('ol');
+        list.className = 'search-results__list';
+
+        for (const r of results) {
+            const docId = r.documentId ?? r.DocumentId ?? '';
+            const name = r.sourceName ?? r.SourceName ?? docId;
+            const partitionNumber = r.partitionNumber ?? r.PartitionNumber;
+            const sectionNumber = r.sectionNumber ?? r.SectionNumber;
+            const relevance = r.relevance ?? r.Relevance ?? 0;
+            const keywordScore = this.keywordOnlyScore(r.scores ?? r.Scores);
+
+            const item = document.createElement('li');
+            item.className = 'search-result';
+
+            const head = document.createElement('div');
+            head.className = 'search-result__head';
+            const title = document.createElement('span');
+            title.className = 'search-result__title';
+            title.textContent = `${r.rank ?? r.Rank}. ${name}`;
+            const where = document.createElement('span');
+            where.className = 'search-result__where';
+            where.textContent = `chunk #${partitionNumber}${sectionNumber > 0 ? ` | p.${sectionNumber}` : ''}`;
+            const score = document.createElement('span');
+            score.className = 'search-result__score';
+            score.title = this.describeRetrievalScores(r.scores ?? r.Scores) || 'Relevance';
+            const bar = document.createElement('span');
+            bar.className = 'search-result__bar';
+            const fill = document.createElement('span');
+            fill.style.width = `${keywordScore === null ? Math.round(Math.max(0, Math.min(1, relevance)) * 100) : 0}%`;
+            bar.appendChild(fill);
+            score.append(bar, keywordScore === null ? relevance.toFixed(3) : `BM25 ${keywordScore.toFixed(2)}`);
+            head.append(title, where, score);
+
+            const text = document.createElement('div');
+            text.className = 'search-result__text';
+            this.appendHighlighted(text, r.text ?? r.Text ?? '', terms);
+
+            const actions = document.createElement('div');
+            actions.className = 'search-result__actions';
+            const expandBtn = document.createElement('button');
+            expandBtn.type = 'button';
+            expandBtn.className = 'btn btn--secondary btn--sm';
+            expandBtn.textContent = 'Expand';
+            expandBtn.addEventListener('click', () => {
+                const expanded = text.classList.toggle('search-result__text--expanded');
+                expandBtn.textContent = expanded ? 'Collapse' : 'Expand';
+            });
+            actions.appendChild(expandBtn);
+
+            if (docId && Number.isFinite(partitionNumber)) {
+                const openBtn = document.createElement('button');
+                openBtn.type = 'button';
+                openBtn.className = 'btn btn--secondary btn--sm';
+                openBtn.textContent = 'Open in document';
+                openBtn.addEventListener('click', () => this.openDocumentViewer({
+                    documentId: docId,
+                    index: r.index ?? r.Index,
+                    name,
+                    partitionNumber,
+                    sectionNumber
+                }));
+                actions.appendChild(openBtn);
+            }
+
+            item.append(head, text, actions);
+            list.appendChild(item);
+        }
+
+        container.appendChild(list);
+    }
+
+    // Words worth highlighting (3+ letters), longest first so overlapping terms prefer the longer match
+    searchTerms(query) {
+        const words = (query.match(/[\p{L}\p{N}]{3,}/gu) || []).map(w => w.toLowerCase());
+        return [...new Set(words)].sort((a, b) => b.length - a.length);
+    }
+
+    // Append text to el with <mark> around the terms (built as DOM nodes, never as HTML)
+    appendHighlighted(el, text, terms) {
+        if (terms.length === 0) {
+            el.textContent = text;
+            return;
+        }
+
+        const escaped = terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = new RegExp(`(${escaped.join('|')})`, 'giu');
+        text.split(pattern).forEach((part, i) => {
+            if (!part) return;
+            if (i % 2 === 1) {
+                const mark = document.createElement('mark');
+                mark.textContent = part;
+                el.appendChild(mark);
+            } else {
+                el.appendChild(document.createTextNode(part));
+            }
+        });
+    }
+
+    // Lock the UI for one request; returns the signal the Stop button aborts
+    beginSending() {
+        this.isSending = true;
+        this.sendBtn.disabled = true;
+        this.sendBtn.setAttribute('aria-busy', 'true');
+        this.abortController = new AbortController();
+        this.toggleStopButton(true);
+
+        // Before sending, close any open citations popup
+        this.closeCitationsPopup();
+        return this.abortController.signal;
+    }
+
+    // unlock; re-evaluate enablement based on input text
+    endSending() {
+        this.isSending = false;
+        this.abortController = null;
+        this.toggleStopButton(false);
+        this.sendBtn.removeAttribute('aria-busy');
+        this.handleInputChange();
+    }
+
+    // Send one question to several models in parallel; answers stream into side-by-side columns
+    async runComparison(scope, history, models, comparison, signal) {
+        const grid = this.getComparisonGrid(comparison);
+        await Promise.all(models.map(async (model) => {
+            const column = document.createElement('div');
+            column.className = 'message message--assistant message--streaming';
+            const contentDiv = document.createElement('div');
+            contentDiv.className = 'message-content';
+            column.appendChild(contentDiv);
+            grid.appendChild(column);
+
+            const stream = { bubble: { wrapper: column, contentDiv }, text: '' };
+            const started = performance.now();
+            const meta = { model, timestamp: new Date().toISOString(), comparison };
+
+            try {
+                const data = await this.streamAnswer(this.buildSearchRequest(scope.query, history, model, scope.documentIds), stream, signal);
+                this.addMessage(data.Answer || data.answer || stream.text || 'No response received', 'assistant', data.Citations || data.citations || [], {
+                    ...meta,
+                    model: data.Model || data.model || model,
+                    standaloneQuery: data.StandaloneQuery || data.standaloneQuery || '',
+                    subQueries: data.SubQueries || data.subQueries || [],
+                    latencyMs: Math.round(performance.now() - started),
+                    retrieval: data.Retrieval || data.retrieval || null,
+                    template: this.templateMeta(data),
+                    grounding: data.Grounding || data.grounding || null,
+                    claims: data.Claims || data.claims || []
+                }, column);
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    this.addMessage(stream.text || 'Request cancelled.', 'assistant', null, { ...meta, cancelled: true }, column);
+                } else {
+                    this.addMessage(`Error: ${error.message}`, 'assistant', null, { ...meta, error: true }, column);
+                }
+            }
+        }));
+    }
+
+    // Per-retriever scores of a cited chunk, e.g. "vector 0.812 (#3) · keyword 7.41 (#1) · fused 0.0325 · rerank #2"
+    describeRetrievalScores(scores) {
+        if (!scores) return '';
+        const pick = (key) => scores[key] ?? scores[key[0].toUpperCase() + key.slice(1)];
+        const rank = (key) => Number.isFinite(pick(key)) ? ` (#${pick(key)})` : '';
+        const parts = [];
+        if (Number.isFinite(pick('vector'))) parts.push(`vector ${pick('vector').toFixed(3)}${rank('vectorRank')}`);
+        if (Number.isFinite(pick('keyword'))) parts.push(`keyword ${pick('keyword').toFixed(2)}${rank('keywordRank')}`);
+        if (Number.isFinite(pick('fused'))) parts.push(`fused ${pick('fused').toFixed(4)}`);
+        if (Number.isFinite(pick('rerankRank'))) parts.push(`rerank #${pick('rerankRank')}`);
+        if (pick('queryHits') > 1) parts.push(`found by ${pick('queryHits')} queries`);
+        return parts.join(' · ');
+    }
+
+    // BM25 score of a chunk only the keyword search found (it has no vector similarity to show), else null
+    keywordOnlyScore(scores) {
+        if (!scores) return null;
+        const vector = scores.vector ?? scores.Vector;
+        const keyword = scores.keyword ?? scores.Keyword;
+        return !Number.isFinite(vector) && Number.isFinite(keyword) ? keyword : null;
+    }
+
+    // "Searched for: ..." line listing the queries behind an expanded search (the question first)
+    buildSearchedFor(queries) {
+        const line = document.createElement('div');
+        line.className = 'message-queries';
+        const label = document.createElement('span');
+        label.className = 'message-queries__label';
+        label.textContent = 'Searched for:';
+        line.appendChild(label);
+        for (const q of queries.filter(Boolean)) {
+            const item = document.createElement('span');
+            item.className = 'message-queries__item';
+            item.textContent = q;
+            line.appendChild(item);
+        }
+        return line;
+    }
+
+    // Grounding check from the server (either casing); null when the answer has none (summaries, errors)
+    normalizeGrounding(g) {
+        if (!g) return null;
+        const confidence = Number(g.confidence ?? g.Confidence);
+        return {
+            confidence: Number.isFinite(confidence) ? confidence : 0,
+            retrievalScore: g.retrievalScore ?? g.RetrievalScore ?? null,
+            overlapScore: g.overlapScore ?? g.OverlapScore ?? null,
+            level: g.level ?? g.Level ?? 'none',
+            sourceCount: g.sourceCount ?? g.SourceCount ?? 0,
+            refused: !!(g.refused ?? g.Refused)
+        };
+    }
+
+    // Underline answer sentences that no cited passage supports. Sentences are found in the rendered text with
+    // citation markers skipped and case, emphasis and spacing ignored; ones that cannot be found stay footer-only.
+    markUnsupportedClaims(contentDiv, claims) {
+        const walker = document.createTreeWalker(contentDiv, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => node.parentElement?.closest('.citation-marker, pre') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+        });
+
+        // normalized text of the bubble, with the text node + offset behind every character
+        let text = '';
+        const positions = [];
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            for (let i = 0; i < node.nodeValue.length; i++) {
+                const ch = node.nodeValue[i];
+                if (/[*_`]/.test(ch)) continue;
+                if (/\s/.test(ch)) {
+                    if (text === '' || text.endsWith(' ')) continue;
+                    text += ' ';
+                } else {
+                    text += ch.toLowerCase()[0];
+                }
+                positions.push({ node, offset: i });
+            }
+        }
+
+        const normalize = (t) => (t || '').toLowerCase().replace(/[*_`]/g, '').replace(/\s+/g, ' ').trim();
+        const used = new Set();
+        const segments = []; // { node, start, end, claim }
+        for (const claim of claims) {
+            const needle = normalize(claim.Text ?? claim.text);
+            const at = needle.length >= 12 ? text.indexOf(needle) : -1;
+            if (at < 0 || used.has(at)) continue;
+
+            let current = null;
+            for (let i = at; i < at + needle.length; i++) {
+                used.add(i);
+                const { node, offset } = positions[i];
+                if (current?.node === node) {
+                    current.end = offset + 1;
+                } else {
+                    current = { node, start: offset, end: offset + 1, claim };
+                    segments.push(current);
+                }
+            }
+        }
+
+        // wrap from the end so earlier offsets in a split text node stay valid
+        segments.sort((a, b) => b.start - a.start);
+        for (const { node, start, end, claim } of segments) {
+            const span = document.createElement('span');
+            span.className = 'claim--unsupported';
+            span.title = (claim.Method ?? claim.method) === 'judge'
+                ? 'No cited passage supports this sentence (checked by the model)'
+                : 'No cited passage supports this sentence';
+            const range = document.createRange();
+            range.setStart(node, start);
+            range.setEnd(node, end);
+            range.surroundContents(span);
+        }
+    }
+
+    buildGroundingBadge(grounding) {
+        const badge = document.createElement('div');
+        badge.className = `grounding-badge grounding-badge--${grounding.level}`;
+        badge.title = this.describeGrounding(grounding);
+        badge.textContent = grounding.level === 'none'
+            ? 'No sources found'
+            : grounding.refused ? 'Not answered: sources too weak' : 'Weakly supported by the sources';
+        return badge;
+    }
+
+    describeGrounding(grounding) {
+        if (grounding.level === 'none') return 'No passage in the documents matched this question; the answer is not based on them.';
+        const pct = (v) => `${Math.round(Number(v) * 100)}%`;
+        const parts = [`${grounding.sourceCount} passage${grounding.sourceCount === 1 ? '' : 's'}`, `retrieval ${pct(grounding.retrievalScore)}`];
+        if (grounding.overlapScore !== null) parts.push(`answer/source overlap ${pct(grounding.overlapScore)}`);
+        return `Grounding confidence ${pct(grounding.confidence)}: ${parts.join(', ')}`;
     }
 
-    // Upload files to /extract/upload as multipart/form-data for indexing
-    async uploadFiles(files) {
-        if (!files || files.length === 0) return { success: true };
+    // { id, name } of the prompt template that produced an answer (absent for summaries)
+    templateMeta(data) {
+        const id = data.TemplateId || data.templateId;
+        return id ? { id, name: data.TemplateName || data.templateName || id } : null;
+    }
 
-        const formData = new FormData();
-        files.forEach(fd => formData.append('files', fd.file, fd.name));
+    getComparisonGrid(comparison) {
+        let grid = this.chatMessages.querySelector(`.comparison-grid[data-comparison="${CSS.escape(comparison)}"]`);
+        if (!grid) {
+            grid = document.createElement('div');
+            grid.className = 'comparison-grid';
+            grid.dataset.comparison = comparison;
+            this.chatMessages.appendChild(grid);
+        }
+        return grid;
+    }
+
+    // Re-ask the question behind an assistant message (same or another model); the new answer replaces it in place
+    async regenerateMessage(entry, wrapper, model) {
+        if (this.isSending) {
+            this.showToast('Wait for the current answer to finish', 'warning');
+            return;
+        }
+
+        const position = this.chatHistory.indexOf(entry);
+        let questionIndex = position - 1;
+        while (questionIndex >= 0 && this.chatHistory[questionIndex].role !== 'user') questionIndex--;
+        if (position < 0 || questionIndex < 0) {
+            this.showToast('No question found to regenerate', 'error');
+            return;
+        }
+
+        const question = this.chatHistory[questionIndex];
+        const history = this.buildConversationContext(this.chatHistory.slice(0, questionIndex));
+        const signal = this.beginSending();
+
+        const contentDiv = document.createElement('div');
+        contentDiv.className = 'message-content';
+        wrapper.className = 'message message--assistant message--streaming';
+        wrapper.replaceChildren(contentDiv);
+
+        const stream = { bubble: { wrapper, contentDiv }, text: '' };
+        const started = performance.now();
 
         try {
-            const resp = await fetch('/extract/upload', { method: 'POST', body: formData });
-            if (!resp.ok) {
-                const txt = await resp.text();
-                throw new Error(txt || `HTTP ${resp.status}`);
+            // a document summary/comparison is re-run with the same options instead of re-asking its request text
+            const data = entry.summary
+                ? await this.streamSummary(entry.summary, model, stream, signal)
+                : await this.streamAnswer(this.buildSearchRequest(this.parseMentions(question.content).query, history, model, question.scope), stream, signal);
+            this.addMessage(data.Answer || data.answer || stream.text || 'No response received', 'assistant', data.Citations || data.citations || [], {
+                model: data.Model || data.model || model || 'default',
+                timestamp: new Date().toISOString(),
+                standaloneQuery: data.StandaloneQuery || data.standaloneQuery || '',
+                subQueries: data.SubQueries || data.subQueries || [],
+                latencyMs: Math.round(performance.now() - started),
+                retrieval: data.Retrieval || data.retrieval || null,
+                template: this.templateMeta(data),
+                grounding: data.Grounding || data.grounding || null,
+                claims: data.Claims || data.claims || [],
+                comparison: entry.comparison,
+                summary: entry.summary,
+                replaces: entry
+            }, wrapper);
+        } catch (error) {
+            // keep the previous answer
+            this.addMessage(entry.content, 'assistant', entry.citations, { ...this.entryMeta(entry), replaces: entry }, wrapper);
+            if (error.name !== 'AbortError') {
+                this.showToast(`Regenerate failed: ${error.message}`, 'error');
             }
+        } finally {
+            this.endSending();
+        }
+    }
 
-            // Parse server response and inject items immediately, so they show while transitioning
-            const body = await resp.json().catch(() => null);
-            const items = (body && (body.Files || body.files)) || [];
-            if (Array.isArray(items)) {
-                for (const it of items) {
-                    const name = it.FileName || it.fileName || '';
-                    const docId = it.DocumentId || it.documentId || '';
-                    const index = it.Index || it.index || '';
-                    if (!name || !docId) continue;
-
-                    // Canonical
-                    this.indexedDocs.set(docId, { name, index });
-                }
-                // Render immediately so users can retract/delete pending docs
-                this.renderFileLists();
+    // Footer button with a model menu (current model first) for regenerateMessage()
+    buildRegenerateControl(entry, wrapper) {
+        const wrap = document.createElement('span');
+        wrap.className = 'export-menu-wrapper';
+
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'message-feedback__btn';
+        btn.title = 'Regenerate';
+        btn.innerHTML = '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><polyline points="23 4 23 10 17 10"/><path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/></svg>';
+
+        const menu = document.createElement('div');
+        menu.className = 'export-menu regenerate-menu hidden';
+        menu.setAttribute('role', 'menu');
+
+        const close = () => {
+            menu.classList.add('hidden');
+            document.removeEventListener('click', onOutside, true);
+        };
+        const onOutside = (e) => {
+            if (!wrap.contains(e.target)) close();
+        };
+
+        btn.addEventListener('click', () => {
+            if (!menu.classList.contains('hidden')) {
+                close();
+                return;
             }
 
-            // Then fetch authoritative state from the server to reconcile
-            await this.refreshIndexedFromServer();
+            const models = this.availableModels();
+            const current = models.includes(entry.model) ? entry.model : null;
+            const ordered = current ? [current, ...models.filter(m => m !== current)] : models;
+            if (ordered.length === 0) {
+                this.regenerateMessage(entry, wrapper, null);
+                return;
+            }
 
-            this.showToast(`Indexed ${files.length} file(s) started`, 'success');
-            return { success: true };
-        } catch (err) {
-            this.showToast(`Indexation failed: ${err.message}`, 'error');
-            return { success: false, error: err };
-        } finally {
-            this.renderFileLists();
-        }
+            menu.replaceChildren(...ordered.map(model => {
+                const item = document.createElement('button');
+                item.type = 'button';
+                item.setAttribute('role', 'menuitem');
+                item.textContent = model === current ? `${model} (same model)` : model;
+                item.addEventListener('click', () => {
+                    close();
+                    this.regenerateMessage(entry, wrapper, model);
+                });
+                return item;
+            }));
+            menu.classList.remove('hidden');
+            document.addEventListener('click', onOutside, true);
+        });
+
+        wrap.appendChild(btn);
+        wrap.appendChild(menu);
+        return wrap;
     }
 
-    showTypingIndicator() {
-        if (this.typingIndicator) {
-            this.typingIndicator.classList.remove('hidden');
-            this.scrollToBottom();
-        }
+    // Abort the in-flight question; sendMessage() records the partial answer as cancelled
+    stopGeneration() {
+        if (!this.isSending || !this.abortController) return;
+        this.abortController.abort();
     }
 
-    hideTypingIndicator() {
-        if (this.typingIndicator) {
-            this.typingIndicator.classList.add('hidden');
+    // Swap the send button for the Stop control while a request is running
+    toggleStopButton(running) {
+        if (!this.stopBtn) return;
+        this.stopBtn.classList.toggle('hidden', !running);
+        this.sendBtn.classList.toggle('hidden', running);
+        if (running) this.stopBtn.focus({ preventScroll: true });
+    }
+
+    // Recent turns sent with the question so the server can resolve follow-ups.
+    // Newest turns win: walk backwards until the turn window or the token budget runs out.
+    // Compared questions are left out: several parallel answers don't make one conversation turn
+    buildConversationContext(messages = this.chatHistory) {
+        const { historyTurns, historyTokenBudget } = this.settings;
+        const usable = messages
+            .filter(m => !m.error && !m.cancelled && !m.comparison && (m.content || '').trim())
+            .slice(-historyTurns * 2);
+
+        const picked = [];
+        let budget = historyTokenBudget;
+        for (let i = usable.length - 1; i >= 0; i--) {
+            const cost = this.estimateTokens(usable[i].content);
+            if (cost > budget) break;
+            budget -= cost;
+            picked.unshift({ role: usable[i].role, content: usable[i].content });
         }
+        return picked;
     }
 
-    scrollToBottom() {
-        try {
-            this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
-        } catch { /* ignore */ }
+    // Rough token estimate (~4 chars per token), good enough for budgeting context
+    estimateTokens(text) {
+        return Math.ceil((text || '').length / 4);
     }
 
-    clearChat() {
-        try {
-            const messages = this.chatMessages?.querySelectorAll('.message');
-            messages?.forEach(m => m.remove());
-            this.chatHistory = [];
-            this.showToast('Chat cleared', 'success');
-        } catch (e) {
-            this.showToast(`Failed to clear chat: ${e.message}`, 'error');
+    // Query the SSE search route and render the answer progressively; resolves with the final `done` payload.
+    // Falls back to a plain JSON body when the server (or a proxy) does not answer with an event stream.
+    async streamAnswer(request, stream, signal) {
+        const response = await fetch(this.settings.streamEndpoint, {
+            method: 'POST',
+            headers: { 'Accept': 'text/event-stream', 'Content-Type': 'application/json' },
+            body: JSON.stringify(request),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const contentType = response.headers.get('Content-Type') || '';
+        if (!response.body || !contentType.includes('text/event-stream')) {
+            return await response.json();
         }
+
+        return await this.readAnswerStream(response, stream);
     }
 
-    async sendMessage() {
-        const message = this.messageInput.value.trim();
-        if (!message || this.isSending) return; // guard
+    // Summarize one document (target.documentId) or compare several (target.documentIds) over SSE;
+    // map progress is shown in the bubble until the result itself streams in
+    async streamSummary(target, model, stream, signal) {
+        const [url, body] = target.documentIds
+            ? ['/memory/compare', { documentIds: target.documentIds, index: target.index || null, model: model || null }]
+            : [`/memory/${encodeURIComponent(target.documentId)}/summarize`, { index: target.index || null, model: model || null, style: target.style, length: target.length }];
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Accept': 'text/event-stream', 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal
+        });
 
-        // lock UI immediately
-        this.isSending = true;
-        this.sendBtn.disabled = true;
-        this.sendBtn.setAttribute('aria-busy', 'true');
+        if (!response.ok) {
+            throw new Error(await response.text().catch(() => '') || `HTTP error! status: ${response.status}`);
+        }
 
-        // Before sending, close any open citations popup
-        this.closeCitationsPopup();
+        return await this.readAnswerStream(response, stream, (event, data) => {
+            if (event !== 'progress' || stream.text) return;
+
+            const stage = data?.stage ?? data?.Stage;
+            const completed = data?.completed ?? data?.Completed ?? 0;
+            const total = data?.total ?? data?.Total ?? 1;
+            const doc = target.documentIds ? ` "${data?.document ?? data?.Document ?? ''}"` : '';
+            const label = stage === 'reduce' ? (target.documentIds ? 'Writing the comparison...' : 'Writing the summary...')
+                : stage === 'collapse' ? `Combining partial summaries${doc} (${completed}/${total})...`
+                : `Summarizing${doc} part ${Math.min(completed + 1, total)} of ${total}...`;
+
+            const progress = document.createElement('div');
+            progress.className = 'summary-progress';
+            const bar = document.createElement('progress');
+            bar.max = total;
+            bar.value = stage === 'reduce' ? total : completed;
+            progress.append(label, bar);
+            stream.bubble.contentDiv.replaceChildren(progress);
+        });
+    }
 
-        // capture selected model at send time
-        const selectedModel = (this.modelSelect?.value || '').trim();
+    // Render "token" events into stream.bubble (created on the first token) and resolve with the "done" payload.
+    // Other events are passed to onEvent.
+    async readAnswerStream(response, stream, onEvent = null) {
+        let done = null;
+        let renderQueued = false;
+        const render = () => {
+            renderQueued = false;
+            if (!stream.bubble) return;
+            this.renderMarkdown(stream.bubble.contentDiv, stream.text);
+            this.scrollToBottom();
+        };
 
-        // add user message with meta
-        this.addMessage(message, 'user', null, {
-            model: selectedModel || 'default',
-            timestamp: new Date().toISOString()
+        await this.readEventStream(response, (event, data) => {
+            if (event === 'token') {
+                if (!stream.bubble) {
+                    this.hideTypingIndicator();
+                    stream.bubble = this.beginStreamingMessage();
+                }
+                stream.text += data?.text ?? data?.Text ?? '';
+                // Re-render at most once per frame; markdown parsing on every token is wasteful
+                if (!renderQueued) {
+                    renderQueued = true;
+                    requestAnimationFrame(render);
+                }
+            } else if (event === 'done') {
+                done = data;
+            } else if (event === 'error') {
+                throw new Error(data?.message || data?.Message || 'Streaming failed');
+            } else {
+                onEvent?.(event, data);
+            }
         });
-        this.messageInput.value = '';
-        this.autoResizeTextarea();
 
-        this.showTypingIndicator();
+        if (!done) {
+            throw new Error('Stream ended before the answer completed');
+        }
+        return done;
+    }
+
+    // Minimal Server-Sent Events parser over a fetch body; calls onEvent(eventName, parsedData) per event
+    async readEventStream(response, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        const dispatch = (block) => {
+            let event = 'message';
+            const dataLines = [];
+            block.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) dataLines.push(line.slice(5).replace(/^ /, ''));
+            });
+            if (dataLines.length === 0) return;
+
+            const raw = dataLines.join('\n');
+            let data;
+            try {
+                data = JSON.parse(raw);
+            } catch {
+                data = raw;
+            }
+            onEvent(event, data);
+        };
 
         try {
-            const params = { query: message };
-            if (selectedModel) params.model = selectedModel;
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+                let sep;
+                while ((sep = buffer.indexOf('\n\n')) >= 0) {
+                    dispatch(buffer.slice(0, sep));
+                    buffer = buffer.slice(sep + 2);
+                }
+            }
 
-            const url = `${this.settings.apiEndpoint}?${new URLSearchParams(params).toString()}`;
-            const response = await fetch(url, { method: 'GET', headers: { 'Accept': 'application/json' } });
+            buffer += decoder.decode();
+            if (buffer.trim()) dispatch(buffer);
+        } catch (err) {
+            // stop the underlying request when a handler bails out mid-stream
+            await reader.cancel().catch(() => { });
+            throw err;
+        }
+    }
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+    // Create an assistant bubble that is filled while the answer streams in; addMessage() finalizes it
+    beginStreamingMessage() {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'message message--assistant message--streaming';
 
-            const data = await response.json();
+        const contentDiv = document.createElement('div');
+        contentDiv.className = 'message-content';
+        wrapper.appendChild(contentDiv);
 
-            this.hideTypingIndicator();
-            const citations = data.Citations || data.citations || [];
-            const modelFromServer = data.Model || data.model || selectedModel || 'default';
-            this.addMessage(
-                data.Answer || data.answer || data.response || data.message || 'No response received',
-                'assistant',
-                citations,
-                {
-                    model: modelFromServer,
-                    timestamp: new Date().toISOString()
-                }
-            );
-        } catch (error) {
-            this.hideTypingIndicator();
-            const selectedOrDefault = selectedModel || 'default';
-            this.addMessage(`Error: ${error.message}. Please check your API endpoint and try again.`, 'assistant', null, {
-                model: selectedOrDefault,
-                timestamp: new Date().toISOString()
-            });
-            this.showToast('Failed to send message', 'error');
-            this.updateConnectionStatus();
-        } finally {
-            // unlock; re-evaluate enablement based on input text
-            this.isSending = false;
-            this.sendBtn.removeAttribute('aria-busy');
-            this.handleInputChange();
+        this.chatMessages.appendChild(wrapper);
+        this.scrollToBottom();
+        return { wrapper, contentDiv };
+    }
+
+    // Render content (markdown -> sanitized HTML when available)
+    renderMarkdown(el, content) {
+        try {
+            if (typeof marked !== 'undefined' && typeof DOMPurify !== 'undefined') {
+                el.innerHTML = DOMPurify.sanitize(marked.parse(content ?? ''), { USE_PROFILES: { html: true } });
+            } else {
+                el.textContent = content ?? '';
+            }
+        } catch {
+            el.textContent = content ?? '';
         }
     }
 
@@ -681,27 +3577,32 @@
         };
     }
 
-    // Append a chat message with optional citations and meta (model + timestamp + KM refs)
-    addMessage(content, role = 'assistant', citations = null, meta = null) {
+    // Append a chat message with optional citations and meta (model + timestamp + KM refs).
+    // When `target` is given (a streamed bubble), it is filled in place instead of appending a new element.
+    addMessage(content, role = 'assistant', citations = null, meta = null, target = null) {
         if (!this.chatMessages) return;
 
         const isUser = role === 'user';
-        const wrapper = document.createElement('div');
+        const wrapper = target || document.createElement('div');
         wrapper.className = `message message--${isUser ? 'user' : 'assistant'}`;
+        wrapper.replaceChildren();
 
         const contentDiv = document.createElement('div');
         contentDiv.className = 'message-content';
 
-        // Render content (markdown -> sanitized HTML when available)
-        try {
-            if (typeof marked !== 'undefined' && typeof DOMPurify !== 'undefined') {
-                const html = DOMPurify.sanitize(marked.parse(content ?? ''), { USE_PROFILES: { html: true } });
-                contentDiv.innerHTML = html;
-            } else {
-                contentDiv.textContent = content ?? '';
-            }
-        } catch {
-            contentDiv.textContent = content ?? '';
+        this.renderMarkdown(contentDiv, content);
+        if (!isUser && Array.isArray(citations) && citations.length > 0) {
+            this.linkCitationMarkers(contentDiv, citations);
+        }
+        const unsupported = !isUser && Array.isArray(meta?.claims)
+            ? meta.claims.filter(c => (c.Supported ?? c.supported) === false)
+            : [];
+        if (unsupported.length > 0) {
+            this.markUnsupportedClaims(contentDiv, unsupported);
+        }
+        const grounding = !isUser ? this.normalizeGrounding(meta?.grounding) : null;
+        if (grounding && grounding.level !== 'grounded') {
+            contentDiv.prepend(this.buildGroundingBadge(grounding));
         }
 
         // Footer meta (timestamp + model [+ refs])
@@ -726,6 +3627,96 @@
         footerDiv.appendChild(sep1);
         footerDiv.appendChild(modelSpan);
 
+        if (Number.isFinite(meta?.latencyMs)) {
+            const sepLatency = document.createElement('span');
+            sepLatency.className = 'message-meta__sep';
+            sepLatency.textContent = '•';
+            const latencySpan = document.createElement('span');
+            latencySpan.className = 'message-meta__item';
+            latencySpan.title = 'Time to complete answer';
+            latencySpan.textContent = `${(meta.latencyMs / 1000).toFixed(1)} s`;
+            footerDiv.appendChild(sepLatency);
+            footerDiv.appendChild(latencySpan);
+        }
+
+        if (meta?.retrieval) {
+            const r = meta.retrieval;
+            const pick = (key) => r[key] ?? r[key[0].toUpperCase() + key.slice(1)];
+            const sepRetrieval = document.createElement('span');
+            sepRetrieval.className = 'message-meta__sep';
+            sepRetrieval.textContent = '•';
+            const retrievalSpan = document.createElement('span');
+            retrievalSpan.className = 'message-meta__item';
+            retrievalSpan.title = 'Effective retrieval settings: limit, min relevance, temperature, max tokens, strategy';
+            const strategy = pick('strategy') ? ` ${pick('strategy')}${pick('rerank') ? '+rerank' : ''}${pick('expandQuery') ? '+expand' : ''}` : '';
+            retrievalSpan.textContent = `k=${pick('limit')} rel≥${pick('minRelevance')} T=${pick('temperature')} max=${pick('maxTokens')}${strategy}`;
+            footerDiv.appendChild(sepRetrieval);
+            footerDiv.appendChild(retrievalSpan);
+        }
+
+        if (grounding) {
+            const sepGrounding = document.createElement('span');
+            sepGrounding.className = 'message-meta__sep';
+            sepGrounding.textContent = '•';
+            const groundingSpan = document.createElement('span');
+            groundingSpan.className = 'message-meta__item';
+            groundingSpan.title = this.describeGrounding(grounding);
+            groundingSpan.textContent = `Confidence: ${Math.round(grounding.confidence * 100)}%`;
+            footerDiv.appendChild(sepGrounding);
+            footerDiv.appendChild(groundingSpan);
+        }
+
+        if (unsupported.length > 0) {
+            const sepClaims = document.createElement('span');
+            sepClaims.className = 'message-meta__sep';
+            sepClaims.textContent = '•';
+            const claimsSpan = document.createElement('span');
+            claimsSpan.className = 'message-meta__item message-meta__cancelled';
+            claimsSpan.title = `Not supported by any cited passage:\n${unsupported.map(c => `- ${c.Text ?? c.text}`).join('\n')}`;
+            claimsSpan.textContent = `${unsupported.length} unsupported sentence${unsupported.length === 1 ? '' : 's'}`;
+            footerDiv.appendChild(sepClaims);
+            footerDiv.appendChild(claimsSpan);
+        }
+
+        if (meta?.template?.id) {
+            const sepTemplate = document.createElement('span');
+            sepTemplate.className = 'message-meta__sep';
+            sepTemplate.textContent = '•';
+            const templateSpan = document.createElement('span');
+            templateSpan.className = 'message-meta__item';
+            templateSpan.title = `Prompt template: ${meta.template.id}`;
+            templateSpan.textContent = `Style: ${meta.template.name || meta.template.id}`;
+            footerDiv.appendChild(sepTemplate);
+            footerDiv.appendChild(templateSpan);
+        }
+
+        if (Array.isArray(meta?.scope) && meta.scope.length > 0) {
+            const sepScope = document.createElement('span');
+            sepScope.className = 'message-meta__sep';
+            sepScope.textContent = '•';
+            const scopeSpan = document.createElement('span');
+            scopeSpan.className = 'message-meta__item';
+            const names = meta.scope.map(id => this.indexedDocs.get(id)?.name || id);
+            scopeSpan.title = `Only searched in: ${names.join(', ')}`;
+            scopeSpan.textContent = `Scope: ${meta.scope.length} doc${meta.scope.length === 1 ? '' : 's'}`;
+            footerDiv.appendChild(sepScope);
+            footerDiv.appendChild(scopeSpan);
+        }
+
+        const cancelled = !!meta?.cancelled;
+        if (cancelled) {
+            const sepCancelled = document.createElement('span');
+            sepCancelled.className = 'message-meta__sep';
+            sepCancelled.textContent = '•';
+
+            const cancelledSpan = document.createElement('span');
+            cancelledSpan.className = 'message-meta__item message-meta__cancelled';
+            cancelledSpan.textContent = 'Cancelled';
+
+            footerDiv.appendChild(sepCancelled);
+            footerDiv.appendChild(cancelledSpan);
+        }
+
         // If assistant, summarize KernelMemory refs
         let km = null;
         let refsDivForPopup = null;
@@ -825,11 +3816,32 @@
                     const relevance = p.Relevance ?? p.relevance;
                     const chunk = Number.isFinite(partitionNumber) ? `chunk #${partitionNumber} | ` : '';
                     const page = Number.isFinite(sectionNumber) && sectionNumber > 0 ? `p.${sectionNumber} ` : '';
-                    const rel = (typeof relevance === 'number' && isFinite(relevance)) ? ` | (${relevance.toFixed(3)})` : '';
+                    const keywordOnly = this.keywordOnlyScore(p.Scores ?? p.scores) !== null;
+                    const rel = (typeof relevance === 'number' && isFinite(relevance) && !keywordOnly) ? ` | (${relevance.toFixed(3)})` : '';
                     const txt = p.Text ?? p.text ?? '';
                     pDiv.textContent = `${chunk}${page}${txt}${rel}`;
+
+                    // Opens the document viewer at this chunk (handled by delegation in the popup; the list is cloned)
+                    if (docId && Number.isFinite(partitionNumber)) {
+                        pDiv.classList.add('message-citation__snippet--link');
+                        pDiv.tabIndex = 0;
+                        pDiv.title = 'Show in document';
+                        pDiv.dataset.docId = docId;
+                        pDiv.dataset.index = idx || '';
+                        pDiv.dataset.name = resolvedName;
+                        pDiv.dataset.partition = String(partitionNumber);
+                        pDiv.dataset.section = Number.isFinite(sectionNumber) ? String(sectionNumber) : '';
+                    }
                     item.appendChild(hr);
                     item.appendChild(pDiv);
+
+                    const scores = this.describeRetrievalScores(p.Scores ?? p.scores);
+                    if (scores) {
+                        const scoresDiv = document.createElement('div');
+                        scoresDiv.className = 'message-citation__scores';
+                        scoresDiv.textContent = scores;
+                        item.appendChild(scoresDiv);
+                    }
                 });
 
                 if (item.childNodes.length > 0) {
@@ -860,23 +3872,318 @@
             wrapper.dataset.kmChunkCount = String(km.chunkCount);
         }
 
+        if (!isUser && Array.isArray(meta?.subQueries) && meta.subQueries.length > 0) {
+            contentDiv.appendChild(this.buildSearchedFor([meta.standaloneQuery, ...meta.subQueries]));
+        }
+
         // Place footer inside the bubble at the bottom
         contentDiv.appendChild(footerDiv);
 
         wrapper.appendChild(contentDiv);
 
-        this.chatMessages.appendChild(wrapper);
-        this.chatHistory.push({
+        if (!wrapper.isConnected) {
+            // restored comparison answers go back into their side-by-side grid
+            const parent = !isUser && meta?.comparison ? this.getComparisonGrid(meta.comparison) : this.chatMessages;
+            parent.appendChild(wrapper);
+        }
+        const entry = {
             role,
             content,
             citations: Array.isArray(citations) ? citations : [],
             timestamp: ts,
             model: modelValue,
-            km // { docIds, chunkCount, chunks, indexByDoc }
-        });
+            cancelled,
+            error: !!meta?.error,
+            standaloneQuery: meta?.standaloneQuery || '',
+            subQueries: Array.isArray(meta?.subQueries) ? meta.subQueries : [], // expanded queries searched besides standaloneQuery
+            km, // { docIds, chunkCount, chunks, indexByDoc }
+            id: meta?.id ?? null,             // IndexedDB key, set once persisted
+            feedback: meta?.feedback ?? null, // { id, rating, reasons, correction }
+            comparison: meta?.comparison || null, // shared id of a compare-mode question and its answers
+            latencyMs: Number.isFinite(meta?.latencyMs) ? meta.latencyMs : null,
+            retrieval: meta?.retrieval || null, // effective { limit, minRelevance, maxTokens, temperature }
+            summary: meta?.summary || null, // { documentId, index, style, length } of a summary, { documentIds, index } of a comparison
+            scope: Array.isArray(meta?.scope) ? meta.scope : [], // docIds a question was restricted to
+            template: meta?.template || null, // { id, name } of the prompt template behind an answer
+            grounding: meta?.grounding || null, // server grounding check { confidence, level, refused, ... }
+            claims: Array.isArray(meta?.claims) ? meta.claims : [] // per-sentence support { text, supported, score, markers, method }
+        };
+        if (!isUser && !entry.error) {
+            const feedback = this.buildFeedbackControls(entry, contentDiv);
+            feedback.appendChild(this.buildRegenerateControl(entry, wrapper));
+            footerDiv.appendChild(feedback);
+        }
+        if (!isUser && entry.comparison && !entry.error && !entry.cancelled) {
+            const useBtn = document.createElement('button');
+            useBtn.type = 'button';
+            useBtn.className = 'btn btn--secondary btn--sm comparison-use';
+            useBtn.textContent = 'Use as default model';
+            useBtn.addEventListener('click', () => this.useModelAsDefault(entry.model));
+            contentDiv.appendChild(useBtn);
+        }
+
+        // a regenerated answer takes the place (and the stored record) of the one it replaces
+        const replaced = meta?.replaces && this.chatHistory.includes(meta.replaces) ? meta.replaces : null;
+        if (replaced) {
+            this.chatHistory.splice(this.chatHistory.indexOf(replaced), 1, entry);
+            if (!this.isRestoring) {
+                this.persistReplacement(replaced, entry);
+            }
+        } else {
+            this.chatHistory.push(entry);
+            if (!this.isRestoring) {
+                this.persistMessage(entry);
+            }
+        }
         this.scrollToBottom();
     }
 
+    // Turn [n] markers in a rendered answer into superscripts that open the matching snippet.
+    // Markers the model invented (no such source) stay visible but inert.
+    linkCitationMarkers(contentDiv, citations) {
+        // marker -> { citation, partition }; answers saved before markers existed fall back to citation order
+        const byMarker = new Map();
+        let position = 0;
+        for (const c of citations) {
+            const parts = c.Partitions || c.partitions || [];
+            for (const p of parts) {
+                position++;
+                byMarker.set(p.Marker ?? p.marker ?? position, { citation: c, partition: p });
+            }
+        }
+
+        const walker = document.createTreeWalker(contentDiv, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => node.parentElement?.closest('code, pre, a')
+                ? NodeFilter.FILTER_REJECT
+                : /\[\d{1,3}\]/.test(node.nodeValue) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP
+        });
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+
+        for (const node of nodes) {
+            const fragment = document.createDocumentFragment();
+            let last = 0;
+            for (const match of node.nodeValue.matchAll(/\[(\d{1,3})\]/g)) {
+                fragment.appendChild(document.createTextNode(node.nodeValue.slice(last, match.index)));
+                last = match.index + match[0].length;
+
+                const marker = Number(match[1]);
+                const ref = byMarker.get(marker);
+                const sup = document.createElement('sup');
+                sup.className = 'citation-marker';
+                sup.textContent = `[${marker}]`;
+
+                if (ref) {
+                    sup.classList.add('citation-marker--linked');
+                    sup.setAttribute('role', 'button');
+                    sup.tabIndex = 0;
+                    sup.title = ref.citation.SourceName || ref.citation.sourceName || 'View source';
+                    const open = (e) => {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        this.toggleCitationsPopup(sup, this.buildMarkerSnippet(ref.citation, ref.partition, marker));
+                    };
+                    sup.addEventListener('click', open);
+                    sup.addEventListener('keydown', (e) => {
+                        if (e.key === 'Enter' || e.key === ' ') open(e);
+                    });
+                } else {
+                    sup.classList.add('citation-marker--unknown');
+                    sup.title = 'No matching source';
+                }
+                fragment.appendChild(sup);
+            }
+            fragment.appendChild(document.createTextNode(node.nodeValue.slice(last)));
+            node.replaceWith(fragment);
+        }
+    }
+
+    // One-snippet citations element (same markup as the footer popup, so the viewer link works too)
+    buildMarkerSnippet(citation, partition, marker) {
+        const docId = citation.DocumentId || citation.documentId || '';
+        const index = citation.Index || citation.index || '';
+        const name = citation.SourceName || citation.sourceName || this.indexedDocs.get(docId)?.name || docId;
+        const partitionNumber = partition.PartitionNumber ?? partition.partitionNumber;
+        const sectionNumber = partition.SectionNumber ?? partition.sectionNumber;
+
+        const refsDiv = document.createElement('div');
+        refsDiv.className = 'message-citations';
+        const list = document.createElement('div');
+        list.className = 'message-citations__list';
+        const item = document.createElement('div');
+        item.className = 'message-citation';
+
+        const title = document.createElement('div');
+        title.className = 'message-citation__title';
+        title.textContent = `[${marker}] ${name}`;
+        item.appendChild(title);
+
+        const metaDiv = document.createElement('div');
+        metaDiv.className = 'message-citation__meta';
+        metaDiv.textContent = [
+            Number.isFinite(partitionNumber) ? `chunk #${partitionNumber}` : '',
+            Number.isFinite(sectionNumber) && sectionNumber > 0 ? `p.${sectionNumber}` : ''
+        ].filter(Boolean).join(' • ');
+        item.appendChild(metaDiv);
+
+        const snippet = document.createElement('div');
+        snippet.className = 'message-citation__snippet';
+        snippet.textContent = partition.Text ?? partition.text ?? '';
+        if (docId && Number.isFinite(partitionNumber)) {
+            snippet.classList.add('message-citation__snippet--link');
+            snippet.tabIndex = 0;
+            snippet.title = 'Show in document';
+            snippet.dataset.docId = docId;
+            snippet.dataset.index = index;
+            snippet.dataset.name = name;
+            snippet.dataset.partition = String(partitionNumber);
+            snippet.dataset.section = Number.isFinite(sectionNumber) ? String(sectionNumber) : '';
+        }
+        item.appendChild(snippet);
+
+        list.appendChild(item);
+        refsDiv.appendChild(list);
+        return refsDiv;
+    }
+
+    // Thumbs up/down in the message footer; choosing one opens a form for reasons and a correction
+    buildFeedbackControls(entry, contentDiv) {
+        const wrap = document.createElement('span');
+        wrap.className = 'message-feedback';
+
+        const icons = {
+            up: '<path d="M14 9V5a3 3 0 0 0-3-3l-4 9v11h11.28a2 2 0 0 0 2-1.7l1.38-9a2 2 0 0 0-2-2.3zM7 22H4a2 2 0 0 1-2-2v-7a2 2 0 0 1 2-2h3"/>',
+            down: '<path d="M10 15v4a3 3 0 0 0 3 3l4-9V2H5.72a2 2 0 0 0-2 1.7l-1.38 9a2 2 0 0 0 2 2.3zm7-13h2.67A2.31 2.31 0 0 1 22 4v7a2.31 2.31 0 0 1-2.33 2H17"/>'
+        };
+
+        const buttons = {};
+        const sync = () => {
+            for (const [rating, btn] of Object.entries(buttons)) {
+                const active = entry.feedback?.rating === rating;
+                btn.classList.toggle('message-feedback__btn--active', active);
+                btn.setAttribute('aria-pressed', String(active));
+            }
+        };
+
+        for (const rating of ['up', 'down']) {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'message-feedback__btn';
+            btn.title = rating === 'up' ? 'Good answer' : 'Bad answer';
+            btn.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">${icons[rating]}</svg>`;
+            btn.addEventListener('click', () => this.openFeedbackForm(entry, rating, contentDiv, sync));
+            buttons[rating] = btn;
+            wrap.appendChild(btn);
+        }
+
+        sync();
+        return wrap;
+    }
+
+    openFeedbackForm(entry, rating, contentDiv, onSaved) {
+        contentDiv.querySelector('.feedback-form')?.remove();
+
+        const reasons = rating === 'up'
+            ? ['Accurate', 'Well cited', 'Complete', 'Concise']
+            : ['Incorrect', 'Incomplete', 'Not in the sources', 'Wrong sources cited', 'Too long'];
+        const previous = entry.feedback?.rating === rating ? entry.feedback : null;
+
+        const form = document.createElement('form');
+        form.className = 'feedback-form';
+
+        const tags = document.createElement('div');
+        tags.className = 'feedback-form__reasons';
+        for (const reason of reasons) {
+            const label = document.createElement('label');
+            label.className = 'feedback-form__reason';
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.value = reason;
+            box.checked = !!previous?.reasons?.includes(reason);
+            label.appendChild(box);
+            label.appendChild(document.createTextNode(` ${reason}`));
+            tags.appendChild(label);
+        }
+
+        const correction = document.createElement('textarea');
+        correction.className = 'form-control feedback-form__correction';
+        correction.rows = 2;
+        correction.placeholder = rating === 'up' ? 'Anything to add? (optional)' : 'What would the correct answer be? (optional)';
+        correction.value = previous?.correction || '';
+
+        const actions = document.createElement('div');
+        actions.className = 'feedback-form__actions';
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.className = 'btn btn--secondary btn--sm';
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.addEventListener('click', () => form.remove());
+        const submitBtn = document.createElement('button');
+        submitBtn.type = 'submit';
+        submitBtn.className = 'btn btn--primary btn--sm';
+        submitBtn.textContent = 'Send feedback';
+        actions.appendChild(cancelBtn);
+        actions.appendChild(submitBtn);
+
+        form.appendChild(tags);
+        form.appendChild(correction);
+        form.appendChild(actions);
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            submitBtn.disabled = true;
+            try {
+                await this.submitFeedback(entry, {
+                    rating,
+                    reasons: Array.from(tags.querySelectorAll('input:checked'), b => b.value),
+                    correction: correction.value.trim()
+                });
+                form.remove();
+                onSaved();
+                this.showToast('Thanks for the feedback', 'success');
+            } catch (err) {
+                this.showToast(`Failed to send feedback: ${err.message}`, 'error');
+                submitBtn.disabled = false;
+            }
+        });
+
+        contentDiv.appendChild(form);
+        correction.focus();
+    }
+
+    // POST feedback with its question/answer context; re-rating reuses the same feedback id
+    async submitFeedback(entry, { rating, reasons, correction }) {
+        const position = this.chatHistory.indexOf(entry);
+        const question = this.chatHistory.slice(0, position < 0 ? undefined : position)
+            .reverse()
+            .find(m => m.role === 'user');
+
+        const resp = await fetch('/feedback', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            body: JSON.stringify({
+                id: entry.feedback?.id || this.conversationStore.newId(),
+                rating,
+                reasons,
+                correction,
+                question: question?.content || '',
+                answer: entry.content,
+                model: entry.model,
+                conversationId: this.conversationId,
+                chunks: entry.km?.chunks || []
+            })
+        });
+        if (!resp.ok) throw new Error(await resp.text() || `HTTP ${resp.status}`);
+        const saved = await resp.json();
+
+        entry.feedback = { id: saved.id ?? saved.Id, rating, reasons, correction };
+
+        // after any pending save of the message itself, so entry.id is known
+        this.persistQueue
+            .then(() => entry.id != null && this.conversationStore.updateMessage(entry.id, { feedback: entry.feedback }))
+            .catch(e => console.warn('Failed to save feedback locally:', e));
+    }
+
     // Popup helpers
     toggleCitationsPopup(anchorEl, refsContentEl) {
         if (this.activeCitationsPopup?.anchor === anchorEl) {
@@ -925,6 +4232,23 @@
         body.className = 'citations-popup__body';
         body.appendChild(refsContentEl.cloneNode(true));
 
+        const openSnippet = (e) => {
+            const snippet = e.target.closest('[data-partition]');
+            if (!snippet) return;
+            e.preventDefault();
+            this.openDocumentViewer({
+                documentId: snippet.dataset.docId,
+                index: snippet.dataset.index,
+                name: snippet.dataset.name,
+                partitionNumber: Number(snippet.dataset.partition),
+                sectionNumber: snippet.dataset.section ? Number(snippet.dataset.section) : null
+            });
+        };
+        body.addEventListener('click', openSnippet);
+        body.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') openSnippet(e);
+        });
+
         popup.appendChild(header);
         popup.appendChild(body);
 
@@ -998,6 +4322,129 @@
         }
     }
 
+    // Document viewer: shows a document's partitions page by page, highlighting the cited one
+    async openDocumentViewer({ documentId, index, name, partitionNumber, sectionNumber }) {
+        if (!this.documentViewer || !documentId) return;
+        this.closeCitationsPopup();
+
+        const pageSize = this.settings.viewerPageSize;
+        this.viewer = {
+            documentId,
+            index: index || '',
+            name: name || this.indexedDocs.get(documentId)?.name || documentId,
+            highlight: Number.isFinite(partitionNumber) ? partitionNumber : null,
+            sectionNumber,
+            // partition numbers are contiguous from 0, so the cited chunk lives on this page
+            page: Number.isFinite(partitionNumber) ? Math.floor(partitionNumber / pageSize) : 0,
+            total: 0
+        };
+
+        this.documentViewer.classList.remove('hidden');
+        this.documentViewer.focus(); // so Escape closes it
+        this.documentViewerTitle.textContent = this.viewer.name;
+        this.documentViewerTitle.title = documentId;
+        await this.loadDocumentPage(this.viewer.page);
+    }
+
+    async loadDocumentPage(page) {
+        const viewer = this.viewer;
+        if (!viewer) return;
+
+        const pageSize = this.settings.viewerPageSize;
+        viewer.page = Math.max(0, page);
+        this.documentViewerBody.innerHTML = '<div class="document-viewer__status">Loading…</div>';
+        this.updateDocumentViewerPager();
+
+        try {
+            const params = new URLSearchParams({ from: String(viewer.page * pageSize), count: String(pageSize) });
+            if (viewer.index) params.set('index', viewer.index);
+            const resp = await fetch(`/memory/${encodeURIComponent(viewer.documentId)}/partitions?${params.toString()}`, { headers: { 'Accept': 'application/json' } });
+            if (!resp.ok) throw new Error(await resp.text() || `HTTP ${resp.status}`);
+            const data = await resp.json();
+            if (this.viewer !== viewer) return; // closed or switched meanwhile
+
+            viewer.total = data.totalPartitions ?? data.TotalPartitions ?? 0;
+            const sourceName = data.sourceName ?? data.SourceName;
+            if (sourceName) this.documentViewerTitle.textContent = sourceName;
+
+            this.renderDocumentPage(data.partitions ?? data.Partitions ?? []);
+        } catch (err) {
+            if (this.viewer !== viewer) return;
+            this.documentViewerBody.innerHTML = '';
+            const status = document.createElement('div');
+            status.className = 'document-viewer__status document-viewer__status--error';
+            status.textContent = `Failed to load document: ${err.message}`;
+            this.documentViewerBody.appendChild(status);
+        } finally {
+            if (this.viewer === viewer) this.updateDocumentViewerPager();
+        }
+    }
+
+    renderDocumentPage(partitions) {
+        const body = this.documentViewerBody;
+        body.innerHTML = '';
+
+        if (partitions.length === 0) {
+            body.innerHTML = '<div class="document-viewer__status">No partitions on this page.</div>';
+            return;
+        }
+
+        let highlighted = null;
+        for (const p of partitions) {
+            const partitionNumber = p.partitionNumber ?? p.PartitionNumber;
+            const sectionNumber = p.sectionNumber ?? p.SectionNumber;
+
+            const item = document.createElement('section');
+            item.className = 'document-viewer__partition';
+            item.dataset.partition = String(partitionNumber);
+
+            const label = document.createElement('div');
+            label.className = 'document-viewer__label';
+            label.textContent = `Chunk #${partitionNumber}${sectionNumber > 0 ? ` | p.${sectionNumber}` : ''}`;
+
+            const text = document.createElement('div');
+            text.className = 'document-viewer__text';
+            text.textContent = p.text ?? p.Text ?? '';
+
+            item.appendChild(label);
+            item.appendChild(text);
+            body.appendChild(item);
+
+            if (partitionNumber === this.viewer.highlight) {
+                item.classList.add('document-viewer__partition--cited');
+                highlighted = item;
+            }
+        }
+
+        if (highlighted) {
+            highlighted.scrollIntoView({ block: 'center' });
+        } else {
+            body.scrollTop = 0;
+        }
+    }
+
+    updateDocumentViewerPager() {
+        const viewer = this.viewer;
+        if (!viewer) return;
+
+        const pageSize = this.settings.viewerPageSize;
+        const pages = Math.max(1, Math.ceil(viewer.total / pageSize));
+        const first = viewer.page * pageSize;
+        const last = Math.min(viewer.total, first + pageSize);
+
+        this.documentViewerPageInfo.textContent = viewer.total
+            ? `Chunks ${first}-${last - 1} of ${viewer.total}`
+            : '';
+        this.documentViewerPrev.disabled = viewer.page <= 0;
+        this.documentViewerNext.disabled = viewer.page >= pages - 1;
+    }
+
+    closeDocumentViewer() {
+        this.viewer = null;
+        this.documentViewer?.classList.add('hidden');
+        if (this.documentViewerBody) this.documentViewerBody.innerHTML = '';
+    }
+
     formatTimestamp(value) {
         try {
             const d = value instanceof Date ? value : new Date(value);
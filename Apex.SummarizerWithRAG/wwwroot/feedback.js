@@ -0,0 +1,132 @@
+﻿// Feedback review page: lists answer feedback from /feedback, filterable by model, cited document and rating.
+// Model and document filters are applied server-side; the option lists come from an unfiltered load.
+class FeedbackReview {
+    constructor() {
+        this.modelFilter = document.getElementById('modelFilter');
+        this.documentFilter = document.getElementById('documentFilter');
+        this.ratingFilter = document.getElementById('ratingFilter');
+        this.summary = document.getElementById('feedbackSummary');
+        this.list = document.getElementById('feedbackList');
+        this.documentNames = new Map(); // docId -> file name (from /indexed, best effort)
+
+        [this.modelFilter, this.documentFilter].forEach(el => el.addEventListener('change', () => this.load()));
+        this.ratingFilter.addEventListener('change', () => this.render());
+
+        this.init();
+    }
+
+    async init() {
+        await this.loadDocumentNames();
+        const all = await this.fetchFeedback();
+        this.populateFilters(all);
+        this.items = all;
+        this.render();
+    }
+
+    async loadDocumentNames() {
+        try {
+            const resp = await fetch('/indexed', { headers: { 'Accept': 'application/json' } });
+            if (!resp.ok) return;
+            const payload = await resp.json();
+            const list = Array.isArray(payload) ? payload : (payload.items || payload.Items || []);
+            for (const it of list) {
+                const docId = it.DocumentId || it.documentId;
+                const name = it.FileName || it.fileName;
+                if (docId && name) this.documentNames.set(docId, name);
+            }
+        } catch { /* names are cosmetic */ }
+    }
+
+    async fetchFeedback() {
+        const params = new URLSearchParams();
+        if (this.modelFilter.value) params.set('model', this.modelFilter.value);
+        if (this.documentFilter.value) params.set('documentId', this.documentFilter.value);
+
+        try {
+            const resp = await fetch(`/feedback?${params.toString()}`, { headers: { 'Accept': 'application/json' } });
+            if (!resp.ok) throw new Error(await resp.text() || `HTTP ${resp.status}`);
+            const items = await resp.json();
+            return Array.isArray(items) ? items : [];
+        } catch (err) {
+            this.summary.textContent = `Failed to load feedback: ${err.message}`;
+            return [];
+        }
+    }
+
+    async load() {
+        this.items = await this.fetchFeedback();
+        this.render();
+    }
+
+    populateFilters(items) {
+        const models = [...new Set(items.map(f => f.model).filter(Boolean))].sort();
+        const docIds = [...new Set(items.flatMap(f => (f.chunks || []).map(c => c.documentId)).filter(Boolean))].sort();
+
+        for (const model of models) {
+            this.modelFilter.appendChild(new Option(model, model));
+        }
+        for (const docId of docIds) {
+            this.documentFilter.appendChild(new Option(this.documentNames.get(docId) || docId, docId));
+        }
+    }
+
+    render() {
+        const rating = this.ratingFilter.value;
+        const items = (this.items || []).filter(f => !rating || f.rating === rating);
+        const up = items.filter(f => f.rating === 'up').length;
+
+        this.summary.textContent = items.length
+            ? `${items.length} feedback item(s): ${up} positive, ${items.length - up} negative`
+            : 'No feedback yet.';
+
+        this.list.replaceChildren(...items.map(f => this.renderItem(f)));
+    }
+
+    renderItem(f) {
+        const item = document.createElement('article');
+        item.className = `feedback-item feedback-item--${f.rating}`;
+
+        const meta = document.createElement('div');
+        meta.className = 'feedback-item__meta';
+        meta.textContent = [
+            f.rating === 'up' ? 'Positive' : 'Negative',
+            new Date(f.createdUtc).toLocaleString(undefined, { hour12: false }),
+            f.model || 'default model'
+        ].join(' • ');
+        item.appendChild(meta);
+
+        const question = document.createElement('div');
+        question.className = 'feedback-item__question';
+        question.textContent = f.question || '(no question)';
+        item.appendChild(question);
+
+        const answer = document.createElement('div');
+        answer.className = 'feedback-item__answer';
+        answer.textContent = f.answer || '';
+        item.appendChild(answer);
+
+        if (f.correction) {
+            const correction = document.createElement('div');
+            correction.className = 'feedback-item__correction';
+            correction.textContent = `Correction: ${f.correction}`;
+            item.appendChild(correction);
+        }
+
+        const docs = [...new Set((f.chunks || []).map(c => c.documentId).filter(Boolean))];
+        const tags = document.createElement('div');
+        tags.className = 'feedback-item__tags';
+        for (const text of [...(f.reasons || []), ...docs.map(id => `doc: ${this.documentNames.get(id) || id}`)]) {
+            const tag = document.createElement('span');
+            tag.className = 'feedback-tag';
+            tag.textContent = text;
+            tags.appendChild(tag);
+        }
+        if (tags.childNodes.length > 0) item.appendChild(tags);
+
+        return item;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.feedbackReview = new FeedbackReview();
+});